@@ -0,0 +1,244 @@
+/**
+ * E-mergo App Object Importer bundle functions
+ *
+ * Bundles are portable JSON files that contain app objects of a single app.
+ *
+ * @version 20261019
+ * @author Laurens Offereins <https://github.com/lmoffereins>
+ *
+ * @param  {Object} _                   Underscore
+ * @param  {Object} $q                  Angular's Q promise library
+ * @param  {Object} importers           Import functions
+ * @param  {Object} util                E-mergo utility functions
+ * @param  {String} qext                Extension QEXT data
+ * @return {Object}                     Bundle API
+ */
+define([
+	"underscore",
+	"ng!$q",
+	"./importers",
+	"./util/util",
+	"text!./qs-emergo-app-object-importer.qext"
+], function( _, $q, importers, util, qext ) {
+
+	/**
+	 * Holds the QEXT data
+	 *
+	 * @type {Object}
+	 */
+	var qextData = JSON.parse(qext),
+
+	/**
+	 * Holds the bundle's type identifier
+	 *
+	 * @type {String}
+	 */
+	BUNDLE_TYPE = "qs-emergo-app-object-importer-bundle",
+
+	/**
+	 * Holds the bundle's schema version
+	 *
+	 * Increment when the bundle's structure changes in a non-compatible way.
+	 *
+	 * @type {Number}
+	 */
+	SCHEMA_VERSION = 1,
+
+	/**
+	 * Return sanitized object data
+	 *
+	 * Only engine objects are sanitized. Data is copied before sanitizing.
+	 *
+	 * @param  {Mixed} qData Object data
+	 * @return {Mixed} Sanitized object data
+	 */
+	sanitize = function( qData ) {
+		return qData && qData.qInfo ? importers.sanitizeObjectData(util.copy(qData)) : util.copy(qData);
+	},
+
+	/**
+	 * Return a sanitized property tree
+	 *
+	 * @param  {Object} propertyTree Property tree
+	 * @return {Object} Sanitized property tree
+	 */
+	sanitizeTree = function( propertyTree ) {
+		return {
+			qProperty: sanitize(propertyTree.qProperty),
+			qChildren: (propertyTree.qChildren || []).map(sanitizeTree)
+		};
+	},
+
+	/**
+	 * Return the bundle data of an item
+	 *
+	 * @param  {Object} item Object item
+	 * @return {Object} Bundle item
+	 */
+	serializeItem = function( item ) {
+		var data = {
+			type: item.type,
+			id: item.id,
+			label: item.label,
+			icon: item.icon || "",
+			searchTerms: item.searchTerms || "",
+			details: util.copy(item.details || []),
+			modifiedDate: item.modifiedDate || null,
+			properties: sanitize(item.properties)
+		};
+
+		// Script sections
+		if (item.code) {
+			data.code = util.copy(item.code);
+		}
+
+		// Master objects with children
+		if (item.children) {
+			data.children = item.children.map(sanitizeTree);
+		}
+
+		// Sheet objects
+		if (item.visualizations) {
+			data.sheetObjects = item.visualizations.map( function( a ) {
+				return sanitizeTree({
+					qProperty: a.properties,
+					qChildren: a.children
+				});
+			});
+		}
+
+		// Bookmark selections
+		if (item.selections) {
+			data.selections = util.copy(item.selections);
+		}
+
+		// Story references
+		if (item.embeddedSheets) {
+			data.embeddedSheets = util.copy(item.embeddedSheets);
+		}
+		if (item.snapshots) {
+			data.snapshots = util.copy(item.snapshots);
+		}
+
+		return data;
+	},
+
+	/**
+	 * Return a new bundle for the items
+	 *
+	 * @param  {Array}  items      Object items
+	 * @param  {Object} source     Source app data with `id` and `label`
+	 * @param  {Object} extensions Optional. Versions of the used extensions by id.
+	 * @return {Object} Bundle
+	 */
+	createBundle = function( items, source, extensions ) {
+		return {
+			type: BUNDLE_TYPE,
+			schemaVersion: SCHEMA_VERSION,
+			createdDate: new Date().toISOString(),
+			extension: {
+				name: qextData.name,
+				version: qextData.version
+			},
+			source: {
+				appId: source.id,
+				appName: source.label
+			},
+			extensions: extensions || {},
+			items: items.map(serializeItem)
+		};
+	},
+
+	/**
+	 * Have the browser download the bundle as a file
+	 *
+	 * @param  {Object} bundle Bundle
+	 * @return {Void}
+	 */
+	downloadBundle = function( bundle ) {
+		var blob = new Blob([JSON.stringify(bundle, null, "\t")], { type: "application/json" }),
+		    url = URL.createObjectURL(blob),
+		    a = document.createElement("a");
+
+		// Name the file after the source app and date
+		a.href = url;
+		a.download = "".concat(bundle.source.appName.replace(/[\\/:*?"<>|]+/g, "_"), " - ", bundle.createdDate.substr(0, 10), ".json");
+		a.style.display = "none";
+
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+
+		// Release the file data
+		setTimeout( function() {
+			URL.revokeObjectURL(url);
+		}, 1000);
+	},
+
+	/**
+	 * Return the bundle item as an object item
+	 *
+	 * Details are restored to the structure that is returned when loading app info.
+	 *
+	 * @param  {Object} data Bundle item
+	 * @return {Object} Object item
+	 */
+	unserializeItem = function( data ) {
+		var item = util.copy(data);
+
+		item.details = _.object(_.pluck(item.details || [], "name"), (item.details || []).map( function( a ) {
+			return {
+				label: a.label,
+				value: a.value,
+				isCode: a.isCode
+			};
+		}));
+
+		return item;
+	},
+
+	/**
+	 * Return the bundle from the file contents
+	 *
+	 * The bundle's type and schema version are validated before anything is returned.
+	 *
+	 * @param  {String} contents File contents
+	 * @return {Promise} Bundle or rejected when invalid
+	 */
+	parseBundle = function( contents ) {
+		var data;
+
+		try {
+			data = JSON.parse(contents);
+		} catch (error) {
+			return $q.reject("The file does not contain valid JSON");
+		}
+
+		// Check the bundle's type
+		if (! data || BUNDLE_TYPE !== data.type) {
+			return $q.reject("The file is not an App Object Importer bundle");
+		}
+
+		// Check the bundle's schema version
+		if ("number" !== typeof data.schemaVersion || data.schemaVersion < 1 || data.schemaVersion > SCHEMA_VERSION) {
+			return $q.reject("The bundle's schema version '".concat(data.schemaVersion, "' is not supported. Supported is version ", SCHEMA_VERSION, "."));
+		}
+
+		// Check the bundle's contents
+		if (! data.source || ! Array.isArray(data.items) || ! _.every(data.items, function( a ) {
+			return a && a.type && a.id && a.hasOwnProperty("properties");
+		})) {
+			return $q.reject("The bundle's contents are incomplete");
+		}
+
+		data.items = data.items.map(unserializeItem);
+
+		return $q.resolve(data);
+	};
+
+	return {
+		createBundle: createBundle,
+		downloadBundle: downloadBundle,
+		parseBundle: parseBundle
+	};
+});
@@ -0,0 +1,288 @@
+/**
+ * E-mergo App Object Importer diff functions
+ *
+ * @version 20261019
+ * @author Laurens Offereins <https://github.com/lmoffereins>
+ *
+ * @param  {Object} _                   Underscore
+ * @return {Object}                     Diff API
+ */
+define([
+	"underscore"
+], function( _ ) {
+
+	/**
+	 * Return whether the value is compared as a whole
+	 *
+	 * Lists of plain values, like tags, are compared as a whole.
+	 *
+	 * @param  {Mixed} value Property value
+	 * @return {Boolean} Value is a leaf
+	 */
+	var isLeaf = function( value ) {
+		return ! _.isObject(value) || _.isEmpty(value) || (Array.isArray(value) && ! _.some(value, _.isObject));
+	},
+
+	/**
+	 * Return the leaf values of the object data by property path
+	 *
+	 * @param  {Mixed}  value Object data
+	 * @param  {String} path  Optional. Path of the value.
+	 * @param  {Object} list  Optional. List to add the leaf values to.
+	 * @return {Object} Leaf values by property path
+	 */
+	flatten = function( value, path, list ) {
+		path = path || "";
+		list = list || {};
+
+		if (isLeaf(value)) {
+			if (path) {
+				list[path] = value;
+			}
+		} else {
+			_.keys(value).forEach( function( key ) {
+				flatten(value[key], Array.isArray(value) ? "".concat(path, "[", key, "]") : (path ? path.concat(".", key) : key), list);
+			});
+		}
+
+		return list;
+	},
+
+	/**
+	 * Return the differences between the source and target object data per property path
+	 *
+	 * Paths that only exist in the source are `added`, paths that only exist in the
+	 * target are `removed`. Other paths are either `changed` or `unchanged`.
+	 *
+	 * @param  {Object} source Source object data
+	 * @param  {Object} target Target object data
+	 * @return {Array} Diff entries with `path`, `type`, `source` and `target` values
+	 */
+	getPropertyDiff = function( source, target ) {
+		var a = flatten(source), b = flatten(target);
+
+		return _.union(_.keys(a), _.keys(b)).map( function( path ) {
+			var type;
+
+			if (! b.hasOwnProperty(path)) {
+				type = "added";
+			} else if (! a.hasOwnProperty(path)) {
+				type = "removed";
+			} else {
+				type = JSON.stringify(a[path]) === JSON.stringify(b[path]) ? "unchanged" : "changed";
+			}
+
+			return {
+				path: path,
+				type: type,
+				source: a[path],
+				target: b[path]
+			};
+		});
+	},
+
+	/**
+	 * Return the lines of the script
+	 *
+	 * @param  {String} script Script
+	 * @return {Array} Script lines
+	 */
+	getLines = function( script ) {
+		return (script || "").split("\r\n");
+	},
+
+	/**
+	 * Holds the maximum amount of line edits that is searched for
+	 *
+	 * Beyond this amount the differing lines are replaced as a whole.
+	 *
+	 * @type {Number}
+	 */
+	MAX_LINE_EDITS = 1000,
+
+	/**
+	 * Return the edit operations that turn the target lines into the source lines
+	 *
+	 * Uses Myers' difference algorithm, which keeps only the frontier of each edit
+	 * step. Returns null when the lines differ by more than `maxEdits` edits.
+	 *
+	 * @param  {Array}  a        Source lines
+	 * @param  {Array}  b        Target lines
+	 * @param  {Number} maxEdits Maximum amount of edits
+	 * @return {Array|Null} Operations with `type` (equal, source or target) and `line`
+	 */
+	getLineEdits = function( a, b, maxEdits ) {
+		var n = a.length, m = b.length, limit = Math.min(n + m, maxEdits), v = new Int32Array(2 * limit + 3), offset = limit + 1, trace = [], ops = [], d, k, x, y, prevK, prevX, prevY, found = false,
+
+		/**
+		 * Return whether the edit step on the diagonal comes from the diagonal above
+		 *
+		 * @param  {Int32Array} frontier Furthest positions per diagonal
+		 * @param  {Number}     shift    Index of diagonal 0 in the frontier
+		 * @param  {Number}     k        Diagonal
+		 * @param  {Number}     d        Edit step
+		 * @return {Boolean} Step is an insertion of a target line
+		 */
+		isDown = function( frontier, shift, k, d ) {
+			return k === -d || (k !== d && frontier[shift + k - 1] < frontier[shift + k + 1]);
+		};
+
+		// Walk the edit steps until both ends are reached
+		for (d = 0; d <= limit && ! found; d++) {
+
+			// Keep the frontier of the previous step
+			trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+			for (k = -d; k <= d; k += 2) {
+				x = isDown(v, offset, k, d) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+				y = x - k;
+
+				// Follow the matching lines
+				while (x < n && y < m && a[x] === b[y]) {
+					x++;
+					y++;
+				}
+
+				v[offset + k] = x;
+
+				if (x >= n && y >= m) {
+					found = true;
+					break;
+				}
+			}
+		}
+
+		// Bail when the lines differ too much
+		if (! found) {
+			return null;
+		}
+
+		// Walk back the edit steps
+		for (x = n, y = m, d = trace.length - 1; d >= 0; d--) {
+			k = x - y;
+			prevK = isDown(trace[d], d + 1, k, d) ? k + 1 : k - 1;
+			prevX = d ? trace[d][prevK + d + 1] : 0;
+			prevY = d ? prevX - prevK : 0;
+
+			while (x > prevX && y > prevY) {
+				ops.push({ type: "equal", line: a[--x] });
+				y--;
+			}
+
+			if (d) {
+				if (x === prevX) {
+					ops.push({ type: "target", line: b[--y] });
+				} else {
+					ops.push({ type: "source", line: a[--x] });
+				}
+			}
+		}
+
+		return ops.reverse();
+	},
+
+	/**
+	 * Return the line-level differences between the source and target script
+	 *
+	 * Lines are matched by their shortest edit script. Consecutive lines are grouped
+	 * in hunks, that are either `equal` or `change`. Change hunks hold the lines of
+	 * both scripts and are `accepted` by default, which means that the source lines
+	 * replace the target lines when merging. When the scripts differ too much, the
+	 * differing lines are held in a single change hunk.
+	 *
+	 * @param  {String} source Source script
+	 * @param  {String} target Target script
+	 * @return {Array} Hunks with `type`, `source` and `target` lines and `rows` for side-by-side display
+	 */
+	getLineDiff = function( source, target ) {
+		var a = getLines(source), b = getLines(target), start = 0, endA = a.length, endB = b.length, edits, ops = [], hunks = [];
+
+		// Skip the common head and tail
+		while (start < endA && start < endB && a[start] === b[start]) {
+			start++;
+		}
+		while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+			endA--;
+			endB--;
+		}
+
+		a.slice(0, start).forEach( function( line ) {
+			ops.push({ type: "equal", line: line });
+		});
+
+		edits = getLineEdits(a.slice(start, endA), b.slice(start, endB), MAX_LINE_EDITS);
+
+		// Replace the differing lines as a whole
+		if (! edits) {
+			edits = a.slice(start, endA).map( function( line ) {
+				return { type: "source", line: line };
+			}).concat(b.slice(start, endB).map( function( line ) {
+				return { type: "target", line: line };
+			}));
+		}
+
+		Array.prototype.push.apply(ops, edits);
+
+		a.slice(endA).forEach( function( line ) {
+			ops.push({ type: "equal", line: line });
+		});
+
+		// Group the lines in hunks
+		ops.forEach( function( op ) {
+			var type = "equal" === op.type ? "equal" : "change", hunk = _.last(hunks);
+
+			if (! hunk || hunk.type !== type) {
+				hunk = {
+					type: type,
+					source: [],
+					target: []
+				};
+
+				if ("change" === type) {
+					hunk.accepted = true;
+				}
+
+				hunks.push(hunk);
+			}
+
+			if ("target" !== op.type) {
+				hunk.source.push(op.line);
+			}
+			if ("source" !== op.type) {
+				hunk.target.push(op.line);
+			}
+		});
+
+		// Pair the lines for side-by-side display
+		hunks.forEach( function( hunk ) {
+			hunk.rows = _.range(Math.max(hunk.source.length, hunk.target.length)).map( function( ix ) {
+				return {
+					source: hunk.source[ix],
+					target: hunk.target[ix]
+				};
+			});
+		});
+
+		return hunks;
+	},
+
+	/**
+	 * Return the script that results from merging the hunks
+	 *
+	 * Accepted change hunks take the source lines, rejected ones keep the target lines.
+	 *
+	 * @param  {Array} hunks Line diff hunks
+	 * @return {String} Merged script
+	 */
+	mergeLineHunks = function( hunks ) {
+		return _.flatten(hunks.map( function( hunk ) {
+			return "change" === hunk.type && ! hunk.accepted ? hunk.target : hunk.source;
+		}), true).join("\r\n");
+	};
+
+	return {
+		getPropertyDiff: getPropertyDiff,
+		getLineDiff: getLineDiff,
+		mergeLineHunks: mergeLineHunks
+	};
+});
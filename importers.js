@@ -7,13 +7,17 @@
  * @param  {Object} qlik                Qlik's core API
  * @param  {Object} _                   Underscore
  * @param  {Object} $q                  Angular's Q promise library
+ * @param  {Object} media               Media functions
+ * @param  {Object} appInfo             App information functions
  * @return {Object}                     Importer API
  */
 define([
 	"qlik",
 	"underscore",
-	"ng!$q"
-], function( qlik, _, $q ) {
+	"ng!$q",
+	"./media",
+	"./util/app-info"
+], function( qlik, _, $q, media, appInfo ) {
 
 	/**
 	 * Holds default import options
@@ -21,7 +25,9 @@ define([
 	 * @type {Object}
 	 */
 	var defaultOptions = {
-		importAlternateStates: true
+		importAlternateStates: true,
+		importLibraryItems: true,
+		importMedia: true
 	},
 
 	/**
@@ -82,385 +88,2360 @@ define([
 		return _apps[appId];
 	},
 
+	/**
+	 * Record a change in the app
+	 *
+	 * Provide a list in `options.journal` to collect the changes of an import, so
+	 * that they can be reverted later on.
+	 *
+	 * @param  {Object} options Import options
+	 * @param  {Object} change  Change data
+	 * @return {Void}
+	 */
+	recordChange = function( options, change ) {
+		if (options && Array.isArray(options.journal)) {
+			options.journal.push(change);
+		}
+	},
+
+	/**
+	 * Return the id of a newly created object
+	 *
+	 * Objects created through the engine app either return the object model or a
+	 * reply that contains the object's info.
+	 *
+	 * @param  {Object} a Created object or reply
+	 * @return {String} Object id
+	 */
+	getCreatedId = function( a ) {
+		return a.id || (a.qInfo && (a.qInfo.qId || a.qInfo.id));
+	},
+
+	/**
+	 * Return a deep copy of the object data
+	 *
+	 * Importers resolve dependencies by writing in the object data, like linking master
+	 * items, rewriting media urls and stamping the provenance. Working on a copy keeps
+	 * the caller's data untouched.
+	 *
+	 * @param  {Object} qData Object data
+	 * @return {Object} Copy of the object data
+	 */
+	copyObjectData = function( qData ) {
+		return JSON.parse(JSON.stringify(qData));
+	},
+
+	/**
+	 * Holds the property groups that can be merged separately when updating master items
+	 *
+	 * Paths are defined per object type. The definition group holds all properties that
+	 * are not part of any other group.
+	 *
+	 * @type {Array}
+	 */
+	propertyGroups = [{
+		id: "definition",
+		label: "Definition",
+		paths: {
+			dimension: [],
+			measure: [],
+			masterObject: []
+		}
+	}, {
+		id: "label",
+		label: "Label expression",
+		paths: {
+			dimension: ["qDim.qLabelExpression"],
+			measure: ["qMeasure.qLabelExpression"],
+			masterObject: ["title", "subtitle", "footnote"]
+		}
+	}, {
+		id: "numberFormat",
+		label: "Number format",
+		paths: {
+			measure: ["qMeasure.qNumFormat", "qMeasure.isCustomFormatted", "qMeasure.numFormatFromTemplate"]
+		}
+	}, {
+		id: "colors",
+		label: "Colors",
+		paths: {
+			dimension: ["qDim.coloring"],
+			measure: ["qMeasure.coloring"],
+			masterObject: ["color"]
+		}
+	}, {
+		id: "description",
+		label: "Description",
+		paths: {
+			dimension: ["qMetaDef.description"],
+			measure: ["qMetaDef.description"],
+			masterObject: ["qMetaDef.description"]
+		}
+	}, {
+		id: "tags",
+		label: "Tags",
+		paths: {
+			dimension: ["qMetaDef.tags"],
+			measure: ["qMetaDef.tags"],
+			masterObject: ["qMetaDef.tags"]
+		}
+	}],
+
+	/**
+	 * Return the property groups that can be merged for the object type
+	 *
+	 * @param  {String} type Object type
+	 * @return {Array} Property groups with `id` and `label`
+	 */
+	getPropertyGroups = function( type ) {
+		return propertyGroups.filter( function( a ) {
+			return a.paths.hasOwnProperty(type);
+		}).map( function( a ) {
+			return _.pick(a, ["id", "label"]);
+		});
+	},
+
+	/**
+	 * Copy the value at the property path from one object to another
+	 *
+	 * The property is removed from the target when it does not exist in the source.
+	 *
+	 * @param  {Object} from Object to copy from
+	 * @param  {Object} to   Object to copy to
+	 * @param  {String} path Property path
+	 * @return {Void}
+	 */
+	copyPropertyPath = function( from, to, path ) {
+		var keys = path.split("."), key = keys.pop(), i;
+
+		for (i = 0; i < keys.length; i++) {
+			from = from && from[keys[i]];
+
+			if (! to[keys[i]] || "object" !== typeof to[keys[i]]) {
+				to[keys[i]] = {};
+			}
+
+			to = to[keys[i]];
+		}
+
+		if (from && from.hasOwnProperty(key)) {
+			to[key] = JSON.parse(JSON.stringify(from[key]));
+		} else {
+			delete to[key];
+		}
+	},
+
+	/**
+	 * Return the target's properties with the selected property groups of the source
+	 *
+	 * When the definition is selected the source's properties are used, keeping the
+	 * target's values of the groups that are not selected. Otherwise the target's
+	 * properties are used, taking the source's values of the selected groups. The
+	 * target's id is always kept.
+	 *
+	 * @param  {String} type   Object type
+	 * @param  {Object} source Source properties
+	 * @param  {Object} target Target properties
+	 * @param  {Array}  groups Selected property group ids
+	 * @return {Object} Merged properties
+	 */
+	mergePropertyGroups = function( type, source, target, groups ) {
+		var useSource = -1 !== groups.indexOf("definition"),
+		    merged = JSON.parse(JSON.stringify(useSource ? source : target));
+
+		propertyGroups.filter( function( a ) {
+			return "definition" !== a.id && a.paths[type] && (-1 !== groups.indexOf(a.id)) !== useSource;
+		}).forEach( function( a ) {
+			a.paths[type].forEach( function( path ) {
+				copyPropertyPath(useSource ? target : source, merged, path);
+			});
+		});
+
+		merged.qInfo = JSON.parse(JSON.stringify(target.qInfo));
+
+		return merged;
+	},
+
+	/**
+	 * Stamp the object data with its provenance
+	 *
+	 * Provide the source's `appId`, `objectId` and `modifiedDate` in `options.provenance`
+	 * to link the imported object to its source. The import date is added to detect
+	 * later edits of the imported object.
+	 *
+	 * @param  {Object} qData   Object data
+	 * @param  {Object} options Import options
+	 * @return {Object} Object data
+	 */
+	stampProvenance = function( qData, options ) {
+		if (options && options.provenance) {
+			qData.qMetaDef = _.extend({}, qData.qMetaDef, {
+				importedFrom: _.extend({}, options.provenance, {
+					importedDate: new Date().toISOString()
+				})
+			});
+		}
+
+		return qData;
+	},
+
+	/**
+	 * Return the provenance of the object data
+	 *
+	 * @param  {Object} qData Object data
+	 * @return {Object|Null} Provenance or null when not imported
+	 */
+	getProvenance = function( qData ) {
+		return qData && qData.qMetaDef && qData.qMetaDef.importedFrom || null;
+	},
+
+	/**
+	 * Return a copy of the object data without its provenance
+	 *
+	 * Use this for comparing object data of different apps.
+	 *
+	 * @param  {Object} qData Object data
+	 * @return {Object} Object data
+	 */
+	removeProvenance = function( qData ) {
+		qData = _.clone(qData);
+
+		if (getProvenance(qData)) {
+			qData.qMetaDef = _.omit(qData.qMetaDef, "importedFrom");
+		}
+
+		return qData;
+	},
+
+	/**
+	 * Return the object's current properties and modified date in the source app
+	 *
+	 * @param  {String} type  Object type
+	 * @param  {String} appId App identifier
+	 * @param  {String} id    Object identifier
+	 * @return {Promise} Object data or rejected when not found
+	 */
+	getSourceObject = function( type, appId, id ) {
+		return openApp(appId).then( function( app ) {
+			var method = {
+				dimension: "getDimension",
+				measure: "getMeasure",
+				variable: "getVariableById",
+				bookmark: "getBookmark"
+			}[type] || "getObject";
+
+			return app.model.enigmaModel[method](id);
+		}).then( function( object ) {
+
+			// Bail when the object was not found
+			if (! object) {
+				return $q.reject("Object with id '".concat(id, "' not found in the source app"));
+			}
+
+			return $q.all({
+				properties: object.getProperties(),
+				layout: object.getLayout()
+			});
+		}).then( function( args ) {
+			return {
+				properties: args.properties,
+				modifiedDate: args.layout.qMeta && args.layout.qMeta.modifiedDate || null
+			};
+		});
+	},
+
+	/**
+	 * Return the master item ids that are referenced in the object data
+	 *
+	 * @param  {Object} qData Object data or property tree. Can be a list.
+	 * @return {Array} Master item ids
+	 */
+	getLibraryIds = function( qData ) {
+		var ids = [];
+
+		// Walk the object data
+		(function walk( a ) {
+			var i;
+
+			if (Array.isArray(a)) {
+				a.forEach(walk);
+			} else if (a && "object" === typeof a) {
+				for (i in a) {
+					if (a.hasOwnProperty(i)) {
+						if ("qLibraryId" === i) {
+							a[i] && ids.push(a[i]);
+						} else {
+							walk(a[i]);
+						}
+					}
+				}
+			}
+		})(qData);
+
+		return _.uniq(ids);
+	},
+
+	/**
+	 * Return the alternate states that are referenced in the object data
+	 *
+	 * The default state and the inherited state are not returned.
+	 *
+	 * @param  {Object} qData Object data or property tree. Can be a list.
+	 * @return {Array} Alternate state names
+	 */
+	getStateNames = function( qData ) {
+		var names = [];
+
+		// Walk the object data
+		(function walk( a ) {
+			var i;
+
+			if (Array.isArray(a)) {
+				a.forEach(walk);
+			} else if (a && "object" === typeof a) {
+				for (i in a) {
+					if (a.hasOwnProperty(i)) {
+						if ("qStateName" === i) {
+							a[i] && "$" !== a[i] && names.push(a[i]);
+						} else {
+							walk(a[i]);
+						}
+					}
+				}
+			}
+		})(qData);
+
+		return _.uniq(names);
+	},
+
+	/**
+	 * Import the alternate states that are referenced in the object data
+	 *
+	 * @param  {Object} qData   Object data or property tree. Can be a list.
+	 * @param  {Object} options Import options
+	 * @return {Promise} Alternate states are imported
+	 */
+	importStateDependencies = function( qData, options ) {
+
+		// Bail when alternate states are not imported
+		if (! options.importAlternateStates) {
+			return $q.resolve();
+		}
+
+		return getStateNames(qData).reduce( function( promise, qStateName ) {
+			return promise.then( function() {
+				return alternateState.add(qStateName, options);
+			});
+		}, $q.resolve());
+	},
+
+	/**
+	 * Replace the master item ids that are referenced in the object data
+	 *
+	 * Object data is modified in place.
+	 *
+	 * @param  {Object} qData Object data or property tree. Can be a list.
+	 * @param  {Object} idMap Map of original id => new id
+	 * @return {Void}
+	 */
+	replaceLibraryIds = function( qData, idMap ) {
+		(function walk( a ) {
+			var i;
+
+			if (Array.isArray(a)) {
+				a.forEach(walk);
+			} else if (a && "object" === typeof a) {
+				for (i in a) {
+					if (a.hasOwnProperty(i)) {
+						if ("qLibraryId" === i) {
+							if (a[i] && idMap[a[i]]) {
+								a[i] = idMap[a[i]];
+							}
+						} else {
+							walk(a[i]);
+						}
+					}
+				}
+			}
+		})(qData);
+	},
+
+	/**
+	 * Return the item of the given types from the source items
+	 *
+	 * Source items are provided in `options.sourceItems` when importing without an
+	 * origin app, like from a bundle.
+	 *
+	 * @param  {Object} options Import options
+	 * @param  {String} id      Item id
+	 * @param  {Array}  types   Item types
+	 * @return {Promise} Item type, properties and children or rejected when not found
+	 */
+	getSourceItem = function( options, id, types ) {
+		var item = _.find(options.sourceItems, function( a ) {
+			return a.id === id && -1 !== types.indexOf(a.type);
+		});
+
+		return item ? $q.resolve({
+			type: item.type,
+			properties: JSON.parse(JSON.stringify(item.properties)),
+			children: JSON.parse(JSON.stringify(item.children || []))
+		}) : $q.reject("Item with id '".concat(id, "' not found in the source items"));
+	},
+
+	/**
+	 * Return the master dimension or measure from the origin app
+	 *
+	 * @param  {Object} options   Import options
+	 * @param  {String} libraryId Master item id
+	 * @return {Promise} Master item type and properties or rejected when not found
+	 */
+	getLibraryItem = async function( options, libraryId ) {
+		var app, getItem;
+
+		// Find in source items
+		if (options.sourceItems) {
+			return getSourceItem(options, libraryId, ["dimension", "measure"]);
+		}
+
+		app = await openApp(options.appId);
+		getItem = function( type ) {
+			var method = "dimension" === type ? "getDimension" : "getMeasure";
+
+			return app.model.enigmaModel[method]({ qId: libraryId }).then( function( a ) {
+				return a ? a.getProperties().then( function( properties ) {
+					return {
+						type: type,
+						properties: properties
+					};
+				}) : $q.reject();
+			});
+		};
+
+		return getItem("dimension").catch( function() {
+			return getItem("measure");
+		}).catch( function() {
+			return $q.reject("Master item with id '".concat(libraryId, "' not found"));
+		});
+	},
+
+	/**
+	 * Return the id of the master item in the current app with the same title and definition
+	 *
+	 * @param  {Object} item Master item type and properties
+	 * @return {Promise} Master item id or empty when not found
+	 */
+	findLibraryItemInCurrentApp = function( item ) {
+		var isDimension = "dimension" === item.type,
+
+		/**
+		 * Return the master item's definition for comparison
+		 *
+		 * @param  {Object} props Master item properties
+		 * @return {String} Definition
+		 */
+		getDefinition = function( props ) {
+			return isDimension
+				? JSON.stringify(_.pick(props.qDim, ["qGrouping", "qFieldDefs"]))
+				: JSON.stringify(props.qMeasure.qDef);
+		};
+
+		return currApp.model.enigmaModel[isDimension ? "getDimensionList" : "getMeasureList"]().then( function( items ) {
+			return items.filter( function( a ) {
+				return a.qMeta.title === item.properties.qMetaDef.title;
+			}).reduce( function( promise, a ) {
+				return promise.then( function( targetId ) {
+					return targetId || currApp.model.enigmaModel[isDimension ? "getDimension" : "getMeasure"]({ qId: a.qInfo.qId }).then( function( b ) {
+						return b.getProperties();
+					}).then( function( props ) {
+						return getDefinition(props) === getDefinition(item.properties) ? a.qInfo.qId : "";
+					});
+				});
+			}, $q.resolve(""));
+		});
+	},
+
+	/**
+	 * Import the master dimensions and measures that are referenced in the object data
+	 *
+	 * For each referenced master item an identical master item in the current app is
+	 * reused, or the original master item is imported first. The references in the
+	 * object data are rewritten to the ids in the current app. Provide a shared object
+	 * in `options.libraryIdMap` to reuse resolved master items within a batch.
+	 *
+	 * @param  {Object} qData   Object data or property tree. Can be a list.
+	 * @param  {Object} options Import options
+	 * @return {Promise} Dependencies are imported
+	 */
+	importLibraryDependencies = async function( qData, options ) {
+		var libraryIds = getLibraryIds(qData), idMap = options.libraryIdMap || {};
+
+		// Bail when there's nothing to import from
+		if (! options.importLibraryItems || ! libraryIds.length || ! (options.appId || options.sourceItems)) {
+			return $q.resolve();
+		}
+
+		return $q.all(libraryIds.map( function( libraryId ) {
+
+			// Resolve each master item only once
+			if (! idMap.hasOwnProperty(libraryId)) {
+				idMap[libraryId] = getLibraryItem(options, libraryId).then( function( item ) {
+					return findLibraryItemInCurrentApp(item).then( function( targetId ) {
+						var props;
+
+						// Reuse the existing master item
+						if (targetId) {
+							return targetId;
+						}
+
+						// Let the engine define a new id
+						props = sanitizeObjectData(JSON.parse(JSON.stringify(item.properties)));
+						props.qInfo = { qType: item.properties.qInfo.qType };
+
+						// Import the master item
+						return currApp.model.enigmaModel["dimension" === item.type ? "createDimension" : "createMeasure"](props).then( function( a ) {
+							recordChange(options, { action: "create", type: item.type, id: a.id });
+
+							return a.id;
+						});
+					});
+				}).catch( function( error ) {
+					console.error(error);
+
+					// Keep the original reference
+					return libraryId;
+				});
+			}
+
+			return idMap[libraryId];
+		})).then( function( targetIds ) {
+
+			// Rewrite the references to the master items
+			replaceLibraryIds(qData, _.object(libraryIds, targetIds));
+		});
+	},
+
+	/**
+	 * Return the id of the master visualization in the current app with the same title and type
+	 *
+	 * @param  {Object} props Master visualization properties
+	 * @return {Promise} Master visualization id or empty when not found
+	 */
+	findMasterObjectInCurrentApp = function( props ) {
+		return currApp.model.enigmaModel.getMasterObjectList().then( function( items ) {
+			return items.filter( function( a ) {
+				return a.qMeta.title === props.qMetaDef.title;
+			}).reduce( function( promise, a ) {
+				return promise.then( function( targetId ) {
+					return targetId || currApp.model.enigmaModel.getObject({ qId: a.qInfo.qId }).then( function( b ) {
+						return b.getProperties();
+					}).then( function( targetProps ) {
+						return targetProps.visualization === props.visualization ? a.qInfo.qId : "";
+					});
+				});
+			}, $q.resolve(""));
+		});
+	},
+
+	/**
+	 * Copy the media files that are referenced in the object data to the current app
+	 *
+	 * The media urls in the object data are rewritten to the copied files. Provide a
+	 * shared object in `options.mediaUrlMap` to reuse copied files within a batch. Urls
+	 * of files that cannot be copied are added to `options.mediaFailed`, when provided.
+	 *
+	 * @param  {Object} qData   Object data or property tree. Can be a list.
+	 * @param  {Object} options Import options
+	 * @return {Promise} Media files are copied
+	 */
+	importMediaFiles = function( qData, options ) {
+		var sourceAppId = options.provenance ? options.provenance.appId : options.appId;
+
+		// Bail when media is not imported or there is nothing to copy from
+		if (! options.importMedia || ! sourceAppId || sourceAppId === currApp.id) {
+			return $q.resolve();
+		}
+
+		return media.importMedia(qData, sourceAppId, currApp.id, options.mediaUrlMap).then( function( failed ) {
+			if (options.mediaFailed) {
+				Array.prototype.push.apply(options.mediaFailed, failed);
+			}
+		});
+	},
+
+	/**
+	 * Link sheet objects to master visualizations in the current app
+	 *
+	 * For each sheet object that extends a master visualization, the master visualization
+	 * in the current app with the same title and type is linked, or the original master
+	 * visualization is imported first with its children. Provide a shared object in
+	 * `options.libraryIdMap` to reuse resolved master items within a batch.
+	 *
+	 * @param  {Array}  propertyTrees Property trees of the sheet objects
+	 * @param  {Object} options       Import options
+	 * @return {Promise} Links are resolved
+	 */
+	importMasterObjectLinks = async function( propertyTrees, options ) {
+		var linked = (propertyTrees || []).filter( function( a ) {
+			return a.qProperty && a.qProperty.qExtendsId;
+		}), idMap = options.libraryIdMap || {}, getMasterObject;
+
+		// Bail when there's nothing to import from
+		if (! options.importLibraryItems || ! linked.length || ! (options.appId || options.sourceItems)) {
+			return $q.resolve();
+		}
+
+		// Find in source items or the origin app. Include children, like in filter panes and containers.
+		if (options.sourceItems) {
+			getMasterObject = function( id ) {
+				return getSourceItem(options, id, ["masterObject"]).then( function( item ) {
+					return { qProperty: item.properties, qChildren: item.children };
+				});
+			};
+		} else {
+			getMasterObject = function( id ) {
+				return openApp(options.appId).then( function( originApp ) {
+					return originApp.getFullPropertyTree(id);
+				}).then( function( b ) {
+					return b.propertyTree;
+				});
+			};
+		}
+
+		return $q.all(linked.map( function( a ) {
+			var masterObjectId = a.qProperty.qExtendsId;
+
+			// Resolve each master visualization only once
+			if (! idMap.hasOwnProperty(masterObjectId)) {
+				idMap[masterObjectId] = getMasterObject(masterObjectId).then( function( propertyTree ) {
+					return findMasterObjectInCurrentApp(propertyTree.qProperty).then( function( targetId ) {
+
+						// Link the existing master visualization
+						if (targetId) {
+							return targetId;
+						}
+
+						propertyTree = JSON.parse(JSON.stringify(propertyTree));
+						propertyTree.qProperty = sanitizeObjectData(propertyTree.qProperty);
+
+						// Import the master visualization with its master items
+						return importLibraryDependencies(propertyTree, options).then( function() {
+							return getObjectIdFactory();
+						}).then( function( createId ) {
+
+							// Give the object and its children ids that are not used in the app
+							setNewObjectIds(propertyTree, createId);
+
+							return currApp.model.enigmaModel.createObject(propertyTree.qProperty);
+						}).then( function( b ) {
+							recordChange(options, { action: "create", type: "masterObject", id: b.id });
+
+							// Add the children
+							return b.setFullPropertyTree(propertyTree).then( function() {
+								return b.id;
+							});
+						});
+					});
+				}).catch( function( error ) {
+					console.error(error);
+
+					// Keep the original reference
+					return masterObjectId;
+				});
+			}
+
+			return idMap[masterObjectId].then( function( targetId ) {
+
+				// Point the link to the master visualization in the current app
+				a.qProperty.qExtendsId = targetId;
+			});
+		}));
+	},
+
+	/**
+	 * Return the sections of the script
+	 *
+	 * @param  {String} qScript Script
+	 * @return {Array} Sections with `tab` and `section` text
+	 */
+	getScriptSections = function( qScript ) {
+		return qScript.split("///$tab ").filter(Boolean).map( function( a ) {
+			return {
+				tab: a.split("\r\n")[0],
+				section: "///$tab ".concat(a)
+			};
+		});
+	},
+
+	/**
+	 * Return the script of the sections
+	 *
+	 * @param  {Array} sections Sections with `section` text
+	 * @return {String} Script
+	 */
+	joinScriptSections = function( sections ) {
+		return sections.reduce( function( a, b ) {
+			return a.concat(b.section);
+		}, "");
+	},
+
+	/**
+	 * Return the index at which to insert a new script section
+	 *
+	 * Available values for `options.position` are:
+	 *  - `end`: after the last section. This is the default.
+	 *  - `start`: before the first section.
+	 *  - `before`/`after`: before or after the section named in `options.positionTab`.
+	 *  - `source`: after the first found section named in `options.precedingTabs`, or
+	 *    else before the first found section named in `options.followingTabs`.
+	 * Sections that cannot be found result in the section being added at the end.
+	 *
+	 * @param  {Array}  sections Script sections
+	 * @param  {Object} options  Position options
+	 * @return {Number} Section index
+	 */
+	getScriptSectionIndex = function( sections, options ) {
+		var tabs = _.pluck(sections, "tab"), index = -1, found;
+
+		/**
+		 * Return the index of the first named tab that exists
+		 *
+		 * @param  {Array} names Tab names
+		 * @return {Number} Tab index
+		 */
+		found = function( names ) {
+			return (names || []).reduce( function( a, b ) {
+				return -1 === a ? tabs.indexOf(b) : a;
+			}, -1);
+		};
+
+		switch (options.position) {
+			case "start":
+				return 0;
+			case "before":
+				index = tabs.indexOf(options.positionTab);
+				break;
+			case "after":
+				index = tabs.indexOf(options.positionTab);
+				index = -1 === index ? index : index + 1;
+				break;
+			case "source":
+				index = found(options.precedingTabs);
+
+				if (-1 !== index) {
+					index = index + 1;
+				} else {
+					index = found(options.followingTabs);
+				}
+				break;
+		}
+
+		return -1 === index ? sections.length : index;
+	},
+
+	/**
+	 * Return the load script statement that defines the variable
+	 *
+	 * The definition is kept as is, including a leading `=` which keeps the variable
+	 * calculated in the app. Definitions that cannot be written in a `SET` statement
+	 * are written as text in a `LET` statement. Dollar-sign expansions are split off
+	 * and joined with `Chr(36)`, so they are not expanded when reloading.
+	 *
+	 * @param  {Object} props Variable properties
+	 * @return {String} Script statement
+	 */
+	getVariableStatement = function( props ) {
+		var definition = props.qDefinition || "", statement,
+
+		// Names with special characters are enclosed in brackets
+		name = /^[\w.]+$/.test(props.qName) ? props.qName : "[".concat(props.qName, "]");
+
+		// Definitions with semicolons, dollar-sign expansions or surrounding whitespace
+		if (/;|\$\(|^\s|\s$/.test(definition)) {
+			statement = "LET ".concat(name, " = '", definition.split("$(").map( function( a ) {
+				return a.replace(/'/g, "''");
+			}).join("' & Chr(36) & '("), "';");
+		} else {
+			statement = "SET ".concat(name, " = ", definition, ";");
+		}
+
+		// Add the comment
+		if (props.qComment) {
+			statement = props.qComment.split(/\r?\n/).map( function( a ) {
+				return "// ".concat(a);
+			}).join("\r\n").concat("\r\n", statement);
+		}
+
+		return statement;
+	},
+
 	/**
 	 * Holds import functions for script sections
 	 *
 	 * @type {Object}
 	 */
-	script = {
+	script = {
+		/**
+		 * Add a script section in the app
+		 *
+		 * The section is added at the end of the script, unless `options.position` says
+		 * otherwise. See `getScriptSectionIndex()` for the available positions.
+		 *
+		 * @param  {Object} props   Script properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Resolves with the title of the added section
+		 */
+		add: function( props, options ) {
+			options = options || {};
+
+			return currApp.getScript().then( function( data ) {
+				var sections = getScriptSections(data.qScript),
+				    tabs = _.pluck(sections, "tab"),
+				    tab = props.tab, i = 0, index;
+
+				// Consider existing tab titles before adding
+				while (-1 !== tabs.indexOf(tab)) {
+					tab = props.tab.concat(" (".concat(++i, ")"));
+				}
+
+				index = getScriptSectionIndex(sections, options);
+
+				// Sections that are followed by another section should end on a new line
+				if (index > 0 && ! /\r\n$/.test(sections[index - 1].section)) {
+					sections[index - 1].section = sections[index - 1].section.concat("\r\n");
+				}
+
+				// Construct the new section, add to script
+				sections.splice(index, 0, {
+					tab: tab,
+					section: "///$tab ".concat(tab, "\r\n", props.qScript, index < sections.length && ! /\r\n$/.test(props.qScript) ? "\r\n" : "")
+				});
+
+				// Keep the previous script
+				recordChange(options, { action: "setScript", qScript: data.qScript });
+
+				// Extend and save the new script
+				return currApp.setScript(joinScriptSections(sections)).then( function() {
+					return tab;
+				});
+			});
+		},
+
+		/**
+		 * Update a script section in the app
+		 *
+		 * @param  {Object} props   Script properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Script section updated
+		 */
+		update: function( props, options ) {
+			options = options || {};
+
+			return currApp.getScript().then( function( data ) {
+				var sections = getScriptSections(data.qScript),
+
+				// Find target by section title
+				target = _.findIndex(sections, function( a ) {
+					return a.tab === options.targetId;
+				});
+
+				if (-1 !== target) {
+
+					// Update the section
+					sections[target].section = "///$tab ".concat(options.targetId, "\r\n", props.qScript);
+
+					// Construct the new script
+					var script = joinScriptSections(sections);
+
+					// Keep the previous script
+					recordChange(options, { action: "setScript", qScript: data.qScript });
+
+					// Save the new script
+					return currApp.setScript(script);
+				} else {
+					return $q.reject("Script section not updated: could not find section with title '".concat(options.targetId, "'"));
+				}
+			});
+		}
+	},
+
+	/**
+	 * Return the grid dimensions of the sheet
+	 *
+	 * @param  {Object} props Sheet properties
+	 * @return {Object} Grid with `columns` and `rows`
+	 */
+	getSheetGrid = function( props ) {
+		return {
+			columns: props.columns || 24,
+			rows: props.rows || 12
+		};
+	},
+
+	/**
+	 * Return the cell positioned in the grid with matching bounds
+	 *
+	 * @param  {Object} cell Cell data
+	 * @param  {Object} grid Grid with `columns` and `rows`
+	 * @return {Object} Cell data
+	 */
+	setCellBounds = function( cell, grid ) {
+		cell.bounds = {
+			x: cell.col / grid.columns * 100,
+			y: cell.row / grid.rows * 100,
+			width: cell.colspan / grid.columns * 100,
+			height: cell.rowspan / grid.rows * 100
+		};
+
+		return cell;
+	},
+
+	/**
+	 * Return the cell scaled from the source grid to the target grid
+	 *
+	 * Cell edges are rounded, so that adjacent cells remain adjacent. Cells are kept
+	 * within the target's `maxRows`, which defaults to its rows.
+	 *
+	 * @param  {Object} cell   Cell data
+	 * @param  {Object} source Source grid
+	 * @param  {Object} target Target grid
+	 * @return {Object} Scaled cell data
+	 */
+	scaleCell = function( cell, source, target ) {
+		var x = target.columns / source.columns, y = target.rows / source.rows,
+		    maxRows = target.maxRows || target.rows,
+		    col = Math.min(Math.round(cell.col * x), target.columns - 1),
+		    row = Math.min(Math.round(cell.row * y), maxRows - 1);
+
+		return setCellBounds(_.extend({}, cell, {
+			col: col,
+			row: row,
+			colspan: Math.min(Math.max(Math.round((cell.col + cell.colspan) * x) - col, 1), target.columns - col),
+			rowspan: Math.min(Math.max(Math.round((cell.row + cell.rowspan) * y) - row, 1), maxRows - row)
+		}), target);
+	},
+
+	/**
+	 * Holds the grid dimensions per sheet grid size
+	 *
+	 * @type {Object}
+	 */
+	sheetGrids = {
+		small: { columns: 12, rows: 8 },
+		medium: { columns: 24, rows: 12 },
+		large: { columns: 48, rows: 24 }
+	},
+
+	/**
+	 * Return the sheet properties converted to the layout
+	 *
+	 * Use `layout.grid` to rescale the cells to another grid size. Use `layout.mode`
+	 * to convert the sheet to a `fixed` layout, which fits all cells within the sheet's
+	 * height, or to an `extendable` layout, which extends the sheet's height to fit all
+	 * cells. Other values keep the sheet's grid size or layout.
+	 *
+	 * @param  {Object} props  Sheet properties
+	 * @param  {Object} layout Layout with `grid` and `mode`
+	 * @return {Object} Converted sheet properties
+	 */
+	convertSheetLayout = function( props, layout ) {
+		var source = getSheetGrid(props), target = _.clone(source), totalRows;
+
+		props = JSON.parse(JSON.stringify(props));
+		layout = layout || {};
+
+		// Bail when there is nothing to convert
+		if (! sheetGrids.hasOwnProperty(layout.grid) && -1 === ["fixed", "extendable"].indexOf(layout.mode)) {
+			return props;
+		}
+
+		// Switch grid size
+		if (sheetGrids.hasOwnProperty(layout.grid)) {
+			target = _.clone(sheetGrids[layout.grid]);
+			props.gridResolution = layout.grid;
+			props.columns = target.columns;
+			props.rows = target.rows;
+		}
+
+		// Cells may extend beyond the sheet's rows
+		totalRows = (props.cells || []).reduce( function( a, cell ) {
+			return Math.max(a, cell.row + cell.rowspan);
+		}, source.rows);
+
+		// Fit all cells within the sheet
+		if ("fixed" === layout.mode) {
+			source.rows = totalRows;
+			props.height = 100;
+			props.layoutOptions = _.extend({}, props.layoutOptions, { extendable: false });
+
+		// Extend the sheet to fit all cells
+		} else {
+			target.maxRows = Math.ceil(totalRows * target.rows / source.rows);
+
+			if ("extendable" === layout.mode) {
+				props.height = Math.max(100, Math.ceil(target.maxRows / target.rows * 100));
+				props.layoutOptions = _.extend({}, props.layoutOptions, { extendable: true });
+			}
+		}
+
+		props.cells = (props.cells || []).map( function( cell ) {
+			return scaleCell(cell, source, target);
+		});
+
+		return props;
+	},
+
+	/**
+	 * Return the cells positioned in the free space of the grid
+	 *
+	 * Cells keep their position when it is free. Otherwise they are moved to the
+	 * first free position, searching from the top left. Existing cells are untouched.
+	 * On extendable sheets cells are placed below the grid's rows when needed.
+	 *
+	 * @param  {Array}   cells      Cells to position, in the target grid
+	 * @param  {Array}   existing   Cells that occupy the grid
+	 * @param  {Object}  grid       Grid with `columns` and `rows`
+	 * @param  {Boolean} extendable Optional. Whether the sheet extends beyond its rows.
+	 * @return {Array|Boolean} Positioned cells or False when a cell does not fit
+	 */
+	arrangeCells = function( cells, existing, grid, extendable ) {
+
+		// Extendable sheets have room for all cells below the existing cells
+		var maxRows = extendable ? existing.concat(cells).reduce( function( a, cell ) {
+			return a + cell.rowspan;
+		}, grid.rows) : grid.rows,
+
+		occupied = _.range(maxRows).map( function() {
+			return _.range(grid.columns).map( function() {
+				return false;
+			});
+		}),
+
+		/**
+		 * Mark the grid space of the cell
+		 *
+		 * @param  {Object} cell Cell data
+		 * @return {Void}
+		 */
+		occupy = function( cell ) {
+			var i, j;
+
+			for (i = cell.row; i < Math.min(cell.row + cell.rowspan, maxRows); i++) {
+				for (j = cell.col; j < Math.min(cell.col + cell.colspan, grid.columns); j++) {
+					occupied[i][j] = true;
+				}
+			}
+		},
+
+		/**
+		 * Return whether the cell fits at the position
+		 *
+		 * @param  {Object} cell Cell data
+		 * @param  {Number} row  Row position
+		 * @param  {Number} col  Column position
+		 * @return {Boolean} Cell fits
+		 */
+		fits = function( cell, row, col ) {
+			var i, j;
+
+			if (row + cell.rowspan > maxRows || col + cell.colspan > grid.columns) {
+				return false;
+			}
+
+			for (i = row; i < row + cell.rowspan; i++) {
+				for (j = col; j < col + cell.colspan; j++) {
+					if (occupied[i][j]) {
+						return false;
+					}
+				}
+			}
+
+			return true;
+		}, positioned = [], i, j, k, found;
+
+		existing.forEach(occupy);
+
+		for (k = 0; k < cells.length; k++) {
+			found = fits(cells[k], cells[k].row, cells[k].col) ? [cells[k].row, cells[k].col] : null;
+
+			// Find the first free position
+			for (i = 0; ! found && i < maxRows; i++) {
+				for (j = 0; ! found && j < grid.columns; j++) {
+					if (fits(cells[k], i, j)) {
+						found = [i, j];
+					}
+				}
+			}
+
+			// Bail when the cell does not fit
+			if (! found) {
+				return false;
+			}
+
+			positioned.push(setCellBounds(_.extend({}, cells[k], {
+				row: found[0],
+				col: found[1]
+			}), grid));
+			occupy(_.last(positioned));
+		}
+
+		return positioned;
+	},
+
+	/**
+	 * Return a new random object id
+	 *
+	 * @return {String} Object id
+	 */
+	createObjectId = function() {
+		return Math.random().toString(36).substr(2, 7);
+	},
+
+	/**
+	 * Return a function that creates object ids that are not used in the app
+	 *
+	 * @return {Promise} Resolves with the function that returns a new object id
+	 */
+	getObjectIdFactory = function() {
+		return currApp.model.enigmaModel.getAllInfos().then( function( infos ) {
+			var used = _.pluck(infos, "qId");
+
+			return function() {
+				var id;
+
+				// Skip ids that are taken
+				do {
+					id = createObjectId();
+				} while (-1 !== used.indexOf(id));
+
+				used.push(id);
+
+				return id;
+			};
+		});
+	},
+
+	/**
+	 * Give the object and all its children in the property tree new ids
+	 *
+	 * References to children by id, like in containers, are pointed to the new ids.
+	 *
+	 * @param  {Object}   propertyTree Property tree
+	 * @param  {Function} createId     Returns a new object id
+	 * @return {Object} Property tree
+	 */
+	setNewObjectIds = function( propertyTree, createId ) {
+		var idMap = {}, nodes = [];
+
+		// Walk the tree
+		(function walk( a ) {
+			var id = createId();
+
+			idMap[a.qProperty.qInfo.qId] = id;
+			a.qProperty.qInfo.qId = id;
+			nodes.push(a);
+
+			(a.qChildren || []).forEach(walk);
+		})(propertyTree);
+
+		// Point child references to the new ids
+		nodes.forEach( function( a ) {
+			(Array.isArray(a.qProperty.children) ? a.qProperty.children : []).forEach( function( b ) {
+				if (b && idMap.hasOwnProperty(b.refId)) {
+					b.refId = idMap[b.refId];
+				}
+			});
+		});
+
+		return propertyTree;
+	},
+
+	/**
+	 * Holds import functions for sheets
+	 *
+	 * @type {Object}
+	 */
+	sheet = {
+		/**
+		 * Add a sheet in the app
+		 *
+		 * @param  {Object} props   Sheet properties
+		 * @param  {Object} options Optional. Import options
+		 * @return {Promise} Sheet added
+		 */
+		add: async function( props, options ) {
+			var requirements = {}, appToImportFrom;
+
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
+
+			options = _.defaults(options || {}, defaultOptions);
+
+			// Updating, so load target object
+			if (options.targetId) {
+				requirements.targetObject = currApp.getObject(options.targetId);
+			}
+
+			// Load sheet objects?
+			if (! options.sheetObjects && options.appId) {
+				appToImportFrom = await openApp(options.appId);
+				options.sheetObjects = [];
+
+				// Load objects from cells
+				requirements.sheetObjects = props.cells.reduce( function( promise, cell ) {
+					return promise.then( function() {
+
+						// Using `getObjectProperties` fetches both properties and the propertyTree when applicable
+						return appToImportFrom.getObjectProperties(cell.name).then( function( a ) {
+							options.sheetObjects.push(a.propertyTree || { qChildren: [], qProperty: a.properties });
+						});
+					});
+				}, $q.resolve());
+			}
+
+			// Load required assets first
+			return $q.all(requirements).then( function( args ) {
+
+				// Import alternate states, link master visualizations, then import referenced master items
+				return importStateDependencies([props, options.sheetObjects], options).then( function() {
+					return importMasterObjectLinks(options.sheetObjects, options);
+				}).then( function() {
+					return importLibraryDependencies([props, options.sheetObjects], options);
+				}).then( function() {
+					return importMediaFiles([props, options.sheetObjects], options);
+				}).then( function() {
+					return args;
+				});
+			}).then( function( args ) {
+				var dfd = $q.defer(), newSheetObject;
+
+				// Convert the sheet's layout
+				if (options.sheetLayout) {
+					props = convertSheetLayout(props, options.sheetLayout);
+				}
+
+				// Link the sheet to its source
+				stampProvenance(props, options);
+
+				// Updating, so save the new properties in the target object
+				if (options.targetId) {
+					newSheetObject = args.targetObject.getFullPropertyTree().then( function( propertyTree ) {
+
+						// Keep the previous property tree
+						recordChange(options, { action: "setFullPropertyTree", type: "sheet", id: options.targetId, propertyTree: propertyTree });
+
+						return args.targetObject.setProperties(props);
+					}).then( function() {
+						return args.targetObject;
+					});
+
+				// Adding, so create a new object with properties
+				} else {
+
+					// Push the rank to the end of the list
+					if (options.sheetsMaxRank) {
+						props.rank = options.sheetsMaxRank + 1;
+					}
+
+					newSheetObject = currApp.model.engineApp.createObject(props).then( function( sheet ) {
+						recordChange(options, { action: "create", type: "sheet", id: getCreatedId(sheet) });
+
+						return sheet;
+					});
+				}
+
+				// With the new sheet object, register the new property tree
+				newSheetObject.then( function( sheet ) {
+					sheet = (options.targetId ? sheet : sheet.qInfo);
+
+					// Get the full property tree
+					sheet.getFullPropertyTree().then( function( propertyTree ) {
+
+						// Set visualizations in the sheet
+						propertyTree.qChildren = options.sheetObjects;
+
+						// Save the new property tree
+						sheet.setFullPropertyTree(propertyTree).then(dfd.resolve);
+					});
+				});
+
+				return dfd.promise;
+			});
+		},
+
+		/**
+		 * Update a sheet in the app
+		 *
+		 * Sheet updates are based on the `targetId` option.
+		 *
+		 * @param  {Object} props Sheet properties
+		 * @param  {Object} options Optional. Import options
+		 * @return {Promise} Sheet updated
+		 */
+		update: function( props, options ) {
+			if (options.targetId) {
+				return this.add(props, options);
+			} else {
+				return $q.reject("Sheet not updated: missing id of the target sheet");
+			}
+		},
+
+		/**
+		 * Add cells of a sheet to an existing sheet in the app
+		 *
+		 * Only the cells named in `options.cellNames` are added to the sheet that is
+		 * identified by `options.targetId`. The cells are scaled to the target's grid and
+		 * placed in its free space. The existing cells of the target sheet are untouched.
+		 *
+		 * @param  {Object} props   Sheet properties
+		 * @param  {Object} options Import options
+		 * @return {Promise} Cells added
+		 */
+		mergeCells: async function( props, options ) {
+			var requirements = {}, cells, appToImportFrom;
+
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
+
+			options = _.defaults(options || {}, defaultOptions);
+
+			// Bail when the target is missing
+			if (! options.targetId) {
+				return $q.reject("Cells not merged: missing id of the target sheet");
+			}
+
+			cells = props.cells.filter( function( cell ) {
+				return -1 !== (options.cellNames || []).indexOf(cell.name);
+			});
+
+			// Bail when no cells are selected
+			if (! cells.length) {
+				return $q.reject("Cells not merged: no cells selected");
+			}
+
+			requirements.targetObject = currApp.getObject(options.targetId);
+			requirements.createId = getObjectIdFactory();
+
+			// Keep the objects of the selected cells
+			if (options.sheetObjects) {
+				options.sheetObjects = options.sheetObjects.filter( function( a ) {
+					return !! _.findWhere(cells, { name: a.qProperty.qInfo.qId });
+				});
+
+			// Load objects from cells
+			} else if (options.appId) {
+				appToImportFrom = await openApp(options.appId);
+				options.sheetObjects = [];
+
+				requirements.sheetObjects = cells.reduce( function( promise, cell ) {
+					return promise.then( function() {
+						return appToImportFrom.getObjectProperties(cell.name).then( function( a ) {
+							options.sheetObjects.push(a.propertyTree || { qChildren: [], qProperty: a.properties });
+						});
+					});
+				}, $q.resolve());
+			}
+
+			// Load required assets first
+			return $q.all(requirements).then( function( args ) {
+
+				// Import alternate states, link master visualizations, then import referenced master items
+				return importStateDependencies(options.sheetObjects, options).then( function() {
+					return importMasterObjectLinks(options.sheetObjects, options);
+				}).then( function() {
+					return importLibraryDependencies([options.sheetObjects], options);
+				}).then( function() {
+					return importMediaFiles([options.sheetObjects], options);
+				}).then( function() {
+					return args;
+				});
+			}).then( function( args ) {
+				return args.targetObject.getFullPropertyTree().then( function( propertyTree ) {
+					var sourceGrid = getSheetGrid(props),
+					    targetGrid = getSheetGrid(propertyTree.qProperty),
+					    extendable = !! (propertyTree.qProperty.layoutOptions && propertyTree.qProperty.layoutOptions.extendable),
+					    positioned = arrangeCells(cells.map( function( cell ) {
+						return scaleCell(cell, sourceGrid, targetGrid);
+					    }), propertyTree.qProperty.cells, targetGrid, extendable), totalRows;
+
+					// Bail when the cells do not fit
+					if (! positioned) {
+						return $q.reject("Cells not merged: not enough free space on the target sheet");
+					}
+
+					// Keep the previous property tree
+					recordChange(options, { action: "setFullPropertyTree", type: "sheet", id: options.targetId, propertyTree: JSON.parse(JSON.stringify(propertyTree)) });
+
+					// Add the objects with new ids, including their children
+					positioned.forEach( function( cell ) {
+						var object = _.find(options.sheetObjects, function( a ) {
+							return a.qProperty.qInfo.qId === cell.name;
+						});
+
+						if (object) {
+							cell.name = setNewObjectIds(object, args.createId).qProperty.qInfo.qId;
+							propertyTree.qChildren.push(object);
+						} else {
+							cell.name = args.createId();
+						}
+					});
+
+					propertyTree.qProperty.cells = propertyTree.qProperty.cells.concat(positioned);
+
+					// Extend the sheet to fit all cells
+					if (extendable) {
+						totalRows = propertyTree.qProperty.cells.reduce( function( a, cell ) {
+							return Math.max(a, cell.row + cell.rowspan);
+						}, targetGrid.rows);
+
+						propertyTree.qProperty.height = Math.max(propertyTree.qProperty.height || 100, Math.ceil(totalRows / targetGrid.rows * 100));
+					}
+
+					// Save the new property tree
+					return args.targetObject.setFullPropertyTree(propertyTree);
+				});
+			});
+		}
+	},
+
+	/**
+	 * Holds import functions for master dimensions
+	 *
+	 * @type {Object}
+	 */
+	dimension = {
+		/**
+		 * Add a master dimension in the app
+		 *
+		 * @param  {Object} props   Dimension properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Dimension added
+		 */
+		add: function( props, options ) {
+
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
+
+			return currApp.model.engineApp.createDimension(stampProvenance(props, options)).then( function( a ) {
+				recordChange(options, { action: "create", type: "dimension", id: getCreatedId(a) });
+
+				return a;
+			});
+		},
+
+		/**
+		 * Update a master dimension in the app
+		 *
+		 * Provide `options.propertyGroups` to only update the selected property groups.
+		 *
+		 * @param  {Object} props   Dimension properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Dimension updated
+		 */
+		update: function( props, options ) {
+
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
+
+			options = options || {};
+
+			return currApp.model.engineApp.getDimension(options.targetId || props.qInfo.qId).then( function( targetObject ) {
+				return targetObject.getProperties().then( function() {
+
+					// Keep the previous properties
+					recordChange(options, { action: "setProperties", type: "dimension", id: targetObject.properties.qInfo.qId, properties: JSON.parse(JSON.stringify(targetObject.properties)) });
+
+					// Only take the selected property groups
+					if (options.propertyGroups) {
+						props = mergePropertyGroups("dimension", props, targetObject.properties, options.propertyGroups);
+					}
+
+					// Update the target's properties
+					return targetObject.setProperties(stampProvenance(props, options));
+				});
+			});
+		}
+	},
+
+	/**
+	 * Holds import functions for master measures
+	 *
+	 * @type {Object}
+	 */
+	measure = {
 		/**
-		 * Add a script section in the app
+		 * Add a master measure in the app
 		 *
-		 * @param  {Object} props Script properties
-		 * @return {Promise} Script section added
+		 * @param  {Object} props   Measure properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Measure added
 		 */
-		add: function( props ) {
-			return currApp.getScript().then( function( data ) {
-				var tabs = data.qScript.split("///$tab ").filter(Boolean).map( function( a, index ) {
-					return a.split("\r\n")[0];
-				}), tab = props.tab, i = 0;
+		add: function( props, options ) {
 
-				// Consider existing tab titles before adding
-				while (-1 !== tabs.indexOf(tab)) {
-					tab = props.tab.concat(" (".concat(++i, ")"));
-				}
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
 
-				// Construct the new section, add to script
-				var section = "///$tab ".concat(tab, "\r\n", props.qScript),
-				    script = data.qScript.concat(section);
+			return currApp.model.engineApp.createMeasure(stampProvenance(props, options)).then( function( a ) {
+				recordChange(options, { action: "create", type: "measure", id: getCreatedId(a) });
 
-				// Extend and save the new script
-				return currApp.setScript(script);
+				return a;
 			});
 		},
 
 		/**
-		 * Update a script section in the app
+		 * Update a master measure in the app
 		 *
-		 * @param  {Object} props   Script properties
+		 * Provide `options.propertyGroups` to only update the selected property groups.
+		 *
+		 * @param  {Object} props   Measure properties
 		 * @param  {Object} options Optional. Import options.
-		 * @return {Promise} Script section updated
+		 * @return {Promise} Measure updated
 		 */
 		update: function( props, options ) {
+
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
+
 			options = options || {};
 
-			return currApp.getScript().then( function( data ) {
-				var sections = data.qScript.split("///$tab ").filter(Boolean).map( function( a ) {
-					return {
-						tab: a.split("\r\n")[0],
-						section: "///$tab ".concat(a)
+			return currApp.model.engineApp.getMeasure(options.targetId || props.qInfo.qId).then( function( targetObject ) {
+				return targetObject.getProperties().then( function() {
+
+					// Keep the previous properties
+					recordChange(options, { action: "setProperties", type: "measure", id: targetObject.properties.qInfo.qId, properties: JSON.parse(JSON.stringify(targetObject.properties)) });
+
+					// Only take the selected property groups
+					if (options.propertyGroups) {
+						props = mergePropertyGroups("measure", props, targetObject.properties, options.propertyGroups);
 					}
-				}),
 
-				// Find target by section title
-				target = _.findIndex(sections, function( a ) {
-					return a.tab === options.targetId;
+					// Update the target's properties
+					return targetObject.setProperties(stampProvenance(props, options));
 				});
+			});
+		}
+	},
 
-				if (-1 !== target) {
+	/**
+	 * Holds import functions for master objects (visualizations)
+	 *
+	 * @type {Object}
+	 */
+	masterObject = {
+		/**
+		 * Add a master object in the app
+		 *
+		 * @param  {Object} props   Master object properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Master object added
+		 */
+		add: function( props, options ) {
 
-					// Update the section
-					sections[target].section = "///$tab ".concat(options.targetId, "\r\n", props.qScript);
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
 
-					// Construct the new script
-					var script = sections.reduce( function(a, b) {
-						return a.concat(b.section);
-					}, "");
+			options = _.defaults(options || {}, defaultOptions);
 
-					// Save the new script
-					return currApp.setScript(script);
+			// Import referenced alternate states and master items first
+			return importStateDependencies(props, options).then( function() {
+				return importLibraryDependencies(props, options);
+			}).then( function() {
+				return importMediaFiles(props, options);
+			}).then( function() {
+				return currApp.model.engineApp.createObject(stampProvenance(props, options));
+			}).then( function( a ) {
+				recordChange(options, { action: "create", type: "masterObject", id: getCreatedId(a) });
+
+				return a;
+			});
+		},
+
+		/**
+		 * Update a master object in the app
+		 *
+		 * Provide `options.children` to update from the given properties instead of the
+		 * property tree of the origin app. Provide `options.propertyGroups` to only update
+		 * the selected property groups.
+		 *
+		 * @param  {Object} props   Master object properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Master object updated
+		 */
+		update: function( props, options ) {
+
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
+
+			options = _.defaults(options || {}, defaultOptions);
+
+			return currApp.model.engineApp.getObject(options.targetId || props.qInfo.qId).then( async function( targetObject ) {
+				var getPropertyTree;
+
+				// Use the provided properties
+				if (options.children) {
+					getPropertyTree = $q.resolve({
+						propertyTree: JSON.parse(JSON.stringify({ qProperty: props, qChildren: options.children }))
+					});
+
+				// Get the origin's property tree
 				} else {
-					return $q.reject("Script section not updated: could not find section with title '".concat(options.targetId, "'"));
+					getPropertyTree = (await openApp(options.appId)).getFullPropertyTree(props.qInfo.qId);
+				}
+
+				return getPropertyTree.then( function( a ) {
+
+					// Keep the target's id
+					var propertyTree = a.propertyTree;
+					propertyTree.qProperty.qInfo.qId = options.targetId;
+
+					// Import referenced alternate states and master items first
+					return importStateDependencies(propertyTree, options).then( function() {
+						return importLibraryDependencies(propertyTree, options);
+					}).then( function() {
+						return importMediaFiles(propertyTree, options);
+					}).then( function() {
+						return targetObject.getFullPropertyTree();
+					}).then( function( targetPropertyTree ) {
+
+						// Keep the previous property tree
+						recordChange(options, { action: "setFullPropertyTree", type: "masterObject", id: options.targetId, propertyTree: targetPropertyTree });
+
+						// Only take the selected property groups. Children are part of the definition.
+						if (options.propertyGroups) {
+							propertyTree = {
+								qProperty: mergePropertyGroups("masterObject", propertyTree.qProperty, targetPropertyTree.qProperty, options.propertyGroups),
+								qChildren: -1 !== options.propertyGroups.indexOf("definition") ? propertyTree.qChildren : targetPropertyTree.qChildren
+							};
+						}
+
+						// Link the master object to its source
+						stampProvenance(propertyTree.qProperty, options);
+
+						// Update the target's property tree
+						return targetObject.setFullPropertyTree(propertyTree);
+					});
+				});
+			});
+		}
+	},
+
+	/**
+	 * Holds import functions for alternate states
+	 *
+	 * @type {Object}
+	 */
+	alternateState = {
+		/**
+		 * Add an alternate state in the app
+		 *
+		 * The action will fail silently if the state already exists.
+		 *
+		 * @param  {String} qStateName Alternate state name
+		 * @param  {Object} options    Optional. Import options.
+		 * @return {Promise} Alternate state added
+		 */
+		add: function( qStateName, options ) {
+			var exists = -1 !== currApp.model.layout.qStateNames.indexOf(qStateName);
+
+			return currApp.model.engineApp.addAlternateState(qStateName).then( function( a ) {
+
+				// Only new states are recorded
+				if (! exists && qStateName) {
+					recordChange(options, { action: "create", type: "alternate-state", id: qStateName });
+				}
+
+				return a;
+			});
+		},
+
+		/**
+		 * Proxy for adding alternate states. There is no updating available.
+		 *
+		 * The action will fail silently if the state already exists.
+		 *
+		 * @param  {String} qStateName Alternate state name
+		 * @param  {Object} options    Optional. Import options.
+		 * @return {Promise} Alternate state added
+		 */
+		update: function( qStateName, options ) {
+			return this.add(qStateName, options);
+		}
+	},
+
+	/**
+	 * Holds import functions for variables
+	 *
+	 * @type {Object}
+	 */
+	variable = {
+		/**
+		 * Add a variable in the app
+		 *
+		 * The action may be rejected because the variable already exists based on name.
+		 *
+		 * @param  {Object} props   Variable properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Variable added
+		 */
+		add: function( props, options ) {
+
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
+
+			// Imported variables are not created in script
+			delete props.qIsScriptCreated;
+
+			return currApp.model.engineApp.createVariableEx(stampProvenance(sanitizeObjectData(props), options)).then( function( a ) {
+				recordChange(options, { action: "create", type: "variable", id: getCreatedId(a) });
+
+				return a;
+			});
+		},
+
+		/**
+		 * Update a variable in the app
+		 *
+		 * By default the variable is updated based on the variable name. Provide
+		 * `options.targetId` to update the variable based on id.
+		 *
+		 * @param  {Object} props   Variable properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Variable updated
+		 */
+		update: function( props, options ) {
+
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
+
+			options = options || {};
+
+			// Update based on id or name
+			var getVariable = currApp.model.engineApp[options.targetId ? "getVariableById" : "getVariableByName"](options.targetId || props.qName);
+
+			return getVariable.then( function( targetObject ) {
+
+				// Update the object's properties
+				return targetObject.getProperties().then( function() {
+
+					// Keep the previous properties
+					recordChange(options, { action: "setProperties", type: "variable", id: targetObject.properties.qInfo.qId, properties: JSON.parse(JSON.stringify(targetObject.properties)) });
+
+					// Keep the target's id
+					props.qInfo.qId = targetObject.properties.qInfo.qId;
+
+					// Updated variables may have been created in script
+					props.qIsScriptCreated = !! targetObject.properties.qIsScriptCreated;
+
+					// Update the object's properties
+					return targetObject.setProperties(stampProvenance(props, options));
+				});
+			}).catch( function( error ) {
+
+				// Variable is not found, because it doesn't exist. Try adding it instead
+				return variable.add(props, options);
+			});
+		},
+
+		/**
+		 * Add variables as statements in the app's load script
+		 *
+		 * The statements are appended to the script section that is named in
+		 * `options.scriptTab`, which is created when it does not exist. When the script
+		 * cannot be changed, the variables are added in the app instead. The variables
+		 * in the script are created when the app is reloaded.
+		 *
+		 * @param  {Array}  list    Variable properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Resolves with whether the variables were added in the script
+		 */
+		addToScript: function( list, options ) {
+			var previousScript;
+
+			// Leave the provided properties untouched
+			list = list.map(copyObjectData);
+
+			options = options || {};
+
+			return currApp.getScript().then( function( data ) {
+				var sections = getScriptSections(data.qScript),
+				    tab = options.scriptTab || "Variables",
+				    statements = list.map(getVariableStatement).join("\r\n"),
+				    target = _.findWhere(sections, { tab: tab });
+
+				previousScript = data.qScript;
+
+				// Append to the existing section
+				if (target) {
+					target.section = target.section.replace(/(\r\n)*$/, "").concat("\r\n\r\n", statements, "\r\n");
+
+				// Add a new section
+				} else {
+					sections.push({
+						tab: tab,
+						section: "///$tab ".concat(tab, "\r\n", statements, "\r\n")
+					});
+				}
+
+				return currApp.setScript(joinScriptSections(sections));
+			}).then( function() {
+
+				// Keep the previous script
+				recordChange(options, { action: "setScript", qScript: previousScript });
+
+				return true;
+			}).catch( function( error ) {
+				console.error(error);
+
+				// The script cannot be changed, so add the variables in the app
+				return list.reduce( function( promise, props ) {
+					return promise.then( function() {
+						return variable.add(props, options);
+					});
+				}, $q.resolve()).then( function() {
+					return false;
+				});
+			});
+		}
+	},
+
+	/**
+	 * Holds import functions for bookmarks
+	 *
+	 * @type {Object}
+	 */
+	bookmark = {
+		/**
+		 * Add a bookmark in the app
+		 *
+		 * Bookmarks are rebuilt by applying the source selections in the current app and
+		 * creating a new bookmark from that selection state. Provide the selections per
+		 * state in `options.selections` as lists of `{ field, values }` objects. Search
+		 * strings and ranges are provided as `{ search }` values, of which only the first
+		 * is applied. The user's selections are restored afterwards.
+		 *
+		 * @param  {Object} props   Bookmark properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Bookmark added
+		 */
+		add: function( props, options ) {
+			var engineApp = currApp.model.enigmaModel, requirements = {}, states, tempBookmarkId;
+
+			// Leave the provided properties untouched
+			props = copyObjectData(props);
+
+			options = _.defaults(options || {}, defaultOptions);
+			options.selections = options.selections || {};
+			states = _.keys(options.selections);
+
+			// Import alternate states?
+			if (options.importAlternateStates) {
+				requirements.alternateStates = $q.all(states.filter( function( a ) {
+					return "$" !== a;
+				}).map( function( a ) {
+					return alternateState.add(a, options).catch(_.noop);
+				}));
+			}
+
+			// Load required assets first
+			return $q.all(requirements).then( function() {
+
+				// Store the current selections in a temporary bookmark
+				return engineApp.createBookmark({
+					qInfo: {
+						qType: "bookmark"
+					},
+					qMetaDef: {
+						title: "App Object Importer (temporary)"
+					}
+				});
+			}).then( function( tempBookmark ) {
+				tempBookmarkId = tempBookmark.id;
+
+				// Walk the states, apply the selections
+				return states.reduce( function( promise, qStateName ) {
+					return promise.then( function() {
+						return engineApp.clearAll(false, qStateName);
+					}).then( function() {
+						return options.selections[qStateName].reduce( function( promise, selection ) {
+							return promise.then( function() {
+								return engineApp.getField(selection.field, qStateName).then( function( field ) {
+									var search = _.find(selection.values, _.isObject);
+
+									// Apply search strings and ranges as a search
+									if (search) {
+										return field.select(search.search, false, 0);
+									}
+
+									return field.selectValues(selection.values.map( function( a ) {
+										return "number" === typeof a ? { qIsNumeric: true, qNumber: a } : { qText: a };
+									}), false, false);
+								});
+							});
+						}, $q.resolve());
+					});
+				}, $q.resolve());
+			}).then( function() {
+				props = stampProvenance(sanitizeObjectData(props), options);
+
+				// Let the engine define a new id
+				props.qInfo = { qType: "bookmark" };
+
+				// Point to the sheet in the current app
+				props.sheetId = options.sheetId || "";
+
+				// Create the bookmark from the applied selections
+				return engineApp.createBookmark(props);
+			}).then( function( a ) {
+				recordChange(options, { action: "create", type: "bookmark", id: a.id });
+
+				return a;
+			}).finally( function() {
+
+				// Restore the user's selections
+				if (tempBookmarkId) {
+					return engineApp.applyBookmark(tempBookmarkId).then( function() {
+						return engineApp.destroyBookmark(tempBookmarkId);
+					});
 				}
 			});
+		},
+
+		/**
+		 * Bookmarks cannot be updated, because their selection state cannot be replaced
+		 *
+		 * @param  {Object} props   Bookmark properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Rejected
+		 */
+		update: function( props, options ) {
+			return $q.reject("Bookmark not updated: updating bookmarks is not supported");
 		}
 	},
 
 	/**
-	 * Holds import functions for sheets
+	 * Holds import functions for stories
 	 *
 	 * @type {Object}
 	 */
-	sheet = {
+	story = {
 		/**
-		 * Add a sheet in the app
+		 * Add a story in the app
 		 *
-		 * @param  {Object} props   Sheet properties
-		 * @param  {Object} options Optional. Import options
-		 * @return {Promise} Sheet added
+		 * The story is created with its slides and slide items. Embedded sheets are pointed
+		 * to the sheets in `options.sheetIdMap`. Slide items that show a snapshot cannot
+		 * be moved to another app. They are skipped and listed in `options.snapshotsSkipped`,
+		 * when provided.
+		 *
+		 * @param  {Object} props   Story properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Story added
 		 */
 		add: async function( props, options ) {
-			var requirements = {}, appToImportFrom;
+			var requirements = {};
 
 			options = _.defaults(options || {}, defaultOptions);
 
 			// Updating, so load target object
 			if (options.targetId) {
-				requirements.targetObject = currApp.getObject(options.targetId);
+				requirements.targetObject = currApp.model.engineApp.getObject(options.targetId);
 			}
 
-			// Load sheet objects?
-			if (! options.sheetObjects && options.appId) {
-				appToImportFrom = await openApp(options.appId);
-				options.sheetObjects = [];
-
-				// Load objects from cells
-				requirements.sheetObjects = props.cells.reduce( function( promise, cell ) {
-					return promise.then( function() {
+			requirements.createId = getObjectIdFactory();
 
-						// Using `getObjectProperties` fetches both properties and the propertyTree when applicable
-						return appToImportFrom.getObjectProperties(cell.name).then( function( a ) {
-							options.sheetObjects.push(a.propertyTree || { qChildren: [], qProperty: a.properties });
-						});
-					});
-				}, $q.resolve());
-			}
+			// Use the provided slides
+			if (options.children) {
+				requirements.propertyTree = $q.resolve(JSON.parse(JSON.stringify({ qProperty: props, qChildren: options.children })));
 
-			// Import alternate states?
-			if (options.importAlternateStates) {
-				requirements.alternateStates = alternateState.add(props.qStateName);
+			// Get the slides from the origin's property tree
+			} else {
+				requirements.propertyTree = (await openApp(options.appId)).getFullPropertyTree(props.qInfo.qId).then( function( a ) {
+					return {
+						qProperty: JSON.parse(JSON.stringify(props)),
+						qChildren: a.propertyTree.qChildren
+					};
+				});
 			}
 
 			// Load required assets first
 			return $q.all(requirements).then( function( args ) {
-				var dfd = $q.defer(), newSheetObject;
+				var slideItems = [];
 
-				// Updating, so save the new properties in the target object
+				args.propertyTree.qChildren = (args.propertyTree.qChildren || []).map( function( slide, index ) {
+
+					slide.qChildren = (slide.qChildren || []).filter( function( a ) {
+
+						// Skip snapshots
+						if (appInfo.isSnapshotSlideItem(a.qProperty)) {
+							if (options.snapshotsSkipped) {
+								options.snapshotsSkipped.push("Slide ".concat(index + 1, ": ", a.qProperty.visualization || "snapshot"));
+							}
+
+							return false;
+						}
+
+						// Point embedded sheets to the sheet in the current app
+						if (a.qProperty.sheetId && options.sheetIdMap && options.sheetIdMap[a.qProperty.sheetId]) {
+							a.qProperty.sheetId = options.sheetIdMap[a.qProperty.sheetId];
+						}
+
+						slideItems.push(a);
+
+						return true;
+					});
+
+					// Give the slide and its items new ids
+					return setNewObjectIds(slide, args.createId);
+				});
+
+				// Import alternate states, link master visualizations, then import referenced master items
+				return importStateDependencies(args.propertyTree, options).then( function() {
+					return importMasterObjectLinks(slideItems, options);
+				}).then( function() {
+					return importLibraryDependencies(args.propertyTree, options);
+				}).then( function() {
+					return importMediaFiles(args.propertyTree, options);
+				}).then( function() {
+					return args;
+				});
+			}).then( function( args ) {
+				var propertyTree = args.propertyTree;
+
+				// Link the story to its source
+				propertyTree.qProperty = stampProvenance(sanitizeObjectData(propertyTree.qProperty), options);
+
+				// Updating, so replace the target's property tree
 				if (options.targetId) {
-					newSheetObject = args.targetObject.setProperties(props).then( function() {
+					return args.targetObject.getFullPropertyTree().then( function( targetPropertyTree ) {
+
+						// Keep the previous property tree
+						recordChange(options, { action: "setFullPropertyTree", type: "story", id: options.targetId, propertyTree: targetPropertyTree });
+
+						// Keep the target's id
+						propertyTree.qProperty.qInfo = targetPropertyTree.qProperty.qInfo;
+
+						return args.targetObject.setFullPropertyTree(propertyTree);
+					}).then( function() {
 						return args.targetObject;
 					});
+				}
 
-				// Adding, so create a new object with properties
-				} else {
-
-					// Push the rank to the end of the list
-					if (options.sheetsMaxRank) {
-						props.rank = options.sheetsMaxRank + 1;
-					}
+				// Let the engine define a new id
+				propertyTree.qProperty.qInfo = { qType: "story" };
 
-					newSheetObject = currApp.model.engineApp.createObject(props);
+				// Push the rank to the end of the list
+				if (options.storiesMaxRank) {
+					propertyTree.qProperty.rank = options.storiesMaxRank + 1;
 				}
 
-				// With the new sheet object, register the new property tree
-				newSheetObject.then( function( sheet ) {
-					sheet = (options.targetId ? sheet : sheet.qInfo);
+				// Create the story, then add its slides
+				return currApp.model.engineApp.createObject(propertyTree.qProperty).then( function( a ) {
+					recordChange(options, { action: "create", type: "story", id: getCreatedId(a) });
 
-					// Get the full property tree
-					sheet.getFullPropertyTree().then( function( propertyTree ) {
+					return currApp.model.engineApp.getObject(getCreatedId(a));
+				}).then( function( storyObject ) {
+					return storyObject.getFullPropertyTree().then( function( newPropertyTree ) {
 
-						// Set visualizations in the sheet
-						propertyTree.qChildren = options.sheetObjects;
+						// Set slides in the story
+						newPropertyTree.qChildren = propertyTree.qChildren;
 
-						// Save the new property tree
-						sheet.setFullPropertyTree(propertyTree).then(dfd.resolve);
+						return storyObject.setFullPropertyTree(newPropertyTree);
+					}).then( function() {
+						return storyObject;
 					});
 				});
-
-				return dfd.promise;
 			});
 		},
 
 		/**
-		 * Update a sheet in the app
+		 * Update a story in the app
 		 *
-		 * Sheet updates are based on the `targetId` option.
+		 * Story updates are based on the `targetId` option.
 		 *
-		 * @param  {Object} props Sheet properties
-		 * @param  {Object} options Optional. Import options
-		 * @return {Promise} Sheet updated
+		 * @param  {Object} props   Story properties
+		 * @param  {Object} options Optional. Import options.
+		 * @return {Promise} Story updated
 		 */
 		update: function( props, options ) {
-			if (options.targetId) {
+			if (options && options.targetId) {
 				return this.add(props, options);
 			} else {
-				return $q.reject("Sheet not updated: missing id of the target sheet");
+				return $q.reject("Story not updated: missing id of the target story");
 			}
 		}
 	},
 
 	/**
-	 * Holds import functions for master dimensions
+	 * Holds the methods for importing app settings
+	 *
+	 * App settings are the properties of the app's app properties object, like the
+	 * theme and the sheet title styling. Each setting is imported separately.
 	 *
 	 * @type {Object}
 	 */
-	dimension = {
+	appSettings = {
 		/**
-		 * Add a master dimension in the app
+		 * Return the properties of the app's app properties object
 		 *
-		 * @param  {Object} props Dimension properties
-		 * @return {Promise} Dimension added
+		 * @param  {Object} app The app's API
+		 * @return {Promise} App properties
 		 */
-		add: function( props ) {
-			return currApp.model.engineApp.createDimension(props);
-		},
+		getProperties: function( app ) {
+			var engineApp = app.model.enigmaModel;
 
-		/**
-		 * Update a master dimension in the app
-		 *
-		 * @param  {Object} props   Dimension properties
-		 * @param  {Object} options Optional. Import options.
-		 * @return {Promise} Dimension updated
-		 */
-		update: function( props, options ) {
-			options = options || {};
+			return engineApp.getObjects({
+				qOptions: {
+					qTypes: ["appprops"]
+				}
+			}).then( function( items ) {
 
-			return currApp.model.engineApp.getDimension(options.targetId || props.qInfo.qId).then( function( targetObject ) {
+				// Bail when the app has no app properties
+				if (! items.length) {
+					return {};
+				}
 
-				// Update the target's properties
-				return targetObject.setProperties(props);
+				return engineApp.getObject({ qId: items[0].qInfo.qId }).then( function( object ) {
+					return object.getProperties();
+				});
 			});
-		}
-	},
+		},
 
-	/**
-	 * Holds import functions for master measures
-	 *
-	 * @type {Object}
-	 */
-	measure = {
 		/**
-		 * Add a master measure in the app
+		 * Return the settings in the app properties
 		 *
-		 * @param  {Object} props Measure properties
-		 * @return {Promise} Measure added
+		 * @param  {Object} props App properties
+		 * @return {Object} Settings
 		 */
-		add: function( props ) {
-			return currApp.model.engineApp.createMeasure(props);
+		getSettings: function( props ) {
+			return _.omit(props || {}, ["qInfo", "qMetaDef", "qExtendsId", "qStateName"]);
 		},
 
 		/**
-		 * Update a master measure in the app
+		 * Set the app setting in the app
 		 *
-		 * @param  {Object} props   Measure properties
+		 * The setting is written to the app properties object of the current app, which
+		 * is created when it does not exist yet.
+		 *
+		 * @param  {Object} props   Setting with `name` and `value`
 		 * @param  {Object} options Optional. Import options.
-		 * @return {Promise} Measure updated
+		 * @return {Promise} Setting added
 		 */
-		update: function( props, options ) {
-			options = options || {};
+		add: function( props, options ) {
+			var engineApp = currApp.model.enigmaModel, data = { value: JSON.parse(JSON.stringify(props.value)) }, object;
 
-			return currApp.model.engineApp.getMeasure(options.targetId || props.qInfo.qId).then( function( targetObject ) {
+			options = _.defaults(options || {}, defaultOptions);
 
-				// Update the target's properties
-				return targetObject.setProperties(props);
-			});
-		}
-	},
+			return engineApp.getObjects({
+				qOptions: {
+					qTypes: ["appprops"]
+				}
+			}).then( function( items ) {
+				if (items.length) {
+					return engineApp.getObject({ qId: items[0].qInfo.qId });
+				}
 
-	/**
-	 * Holds import functions for master objects (visualizations)
-	 *
-	 * @type {Object}
-	 */
-	masterObject = {
-		/**
-		 * Add a master object in the app
-		 *
-		 * @param  {Object} props Master object properties
-		 * @return {Promise} Master object added
-		 */
-		add: function( props ) {
-			return currApp.model.engineApp.createObject(props);
+				// Create the app properties object
+				return engineApp.createObject({
+					qInfo: {
+						qType: "appprops"
+					}
+				}).then( function( a ) {
+					recordChange(options, { action: "create", type: "appSettings", id: a.id });
+
+					return a;
+				});
+			}).then( function( a ) {
+				object = a;
+
+				return object.getProperties();
+			}).then( function( properties ) {
+				recordChange(options, { action: "setProperties", type: "appSettings", id: properties.qInfo.qId, properties: JSON.parse(JSON.stringify(properties)) });
+
+				// Copy referenced media, like the sheet title logo
+				return importMediaFiles(data, options).then( function() {
+					properties[props.name] = data.value;
+
+					return object.setProperties(properties);
+				});
+			}).then( function() {
+				return object;
+			});
 		},
 
 		/**
-		 * Update a master object in the app
+		 * Update the app setting in the app
 		 *
-		 * @param  {Object} props   Master object properties
+		 * @param  {Object} props   Setting with `name` and `value`
 		 * @param  {Object} options Optional. Import options.
-		 * @return {Promise} Master object updated
+		 * @return {Promise} Setting updated
 		 */
 		update: function( props, options ) {
-			options = options || {};
-
-			return currApp.model.engineApp.getObject(options.targetId || props.qInfo.qId).then( async function( targetObject ) {
-				var originApp = await openApp(options.appId);
-
-				// Get the origin's property tree
-				return originApp.getFullPropertyTree(props.qInfo.qId).then( function( a ) {
-
-					// Keep the target's id
-					var propertyTree = a.propertyTree;
-					propertyTree.qProperty.qInfo.qId = options.targetId;
-
-					// Update the target's property tree
-					return targetObject.setFullPropertyTree(propertyTree);
-				});
-			});
+			return appSettings.add(props, options);
 		}
 	},
 
 	/**
-	 * Holds import functions for alternate states
+	 * Holds the engine methods per object type
 	 *
 	 * @type {Object}
 	 */
-	alternateState = {
-		/**
-		 * Add an alternate state in the app
-		 *
-		 * The action will fail silently if the state already exists.
-		 *
-		 * @param  {String} qStateName Alternate state name
-		 * @param  {Object} options    Optional. Import options.
-		 * @return {Promise} Alternate state added
-		 */
-		add: function( qStateName, options ) {
-			return currApp.model.engineApp.addAlternateState(qStateName);
-		},
+	engineMethods = {
+		dimension: { get: "getDimension", destroy: "destroyDimension" },
+		measure: { get: "getMeasure", destroy: "destroyMeasure" },
+		variable: { get: "getVariableById", destroy: "destroyVariableById" },
+		bookmark: { get: "getBookmark", destroy: "destroyBookmark" },
+		"alternate-state": { destroy: "removeAlternateState" }
+	},
 
-		/**
-		 * Proxy for adding alternate states. There is no updating available.
-		 *
-		 * The action will fail silently if the state already exists.
-		 *
-		 * @param  {String} qStateName Alternate state name
-		 * @param  {Object} options    Optional. Import options.
-		 * @return {Promise} Alternate state added
-		 */
-		update: function( qStateName, options ) {
-			return this.add(qStateName, options);
-		}
+	/**
+	 * Return the object in the app for the recorded change
+	 *
+	 * @param  {Object} change Change data
+	 * @return {Promise} Object model
+	 */
+	getObjectModel = function( change ) {
+		var engineApp = currApp.model.enigmaModel,
+		    method = engineMethods[change.type] && engineMethods[change.type].get || "getObject";
+
+		return "getVariableById" === method ? engineApp[method](change.id) : engineApp[method]({ qId: change.id });
 	},
 
 	/**
-	 * Holds import functions for variables
+	 * Return the hash of the text
 	 *
-	 * @type {Object}
+	 * Uses the 32-bit FNV-1a algorithm, which is fast, but not cryptographic.
+	 *
+	 * @param  {String} text Text to hash
+	 * @return {String} Hash
 	 */
-	variable = {
-		/**
-		 * Add a variable in the app
-		 *
-		 * The action may be rejected because the variable already exists based on name.
-		 *
-		 * @param  {Object} props Variable properties
-		 * @return {Promise} Variable added
-		 */
-		add: function( props ) {
+	hashText = function( text ) {
+		var hash = 0x811c9dc5, i;
 
-			// Imported variables are not created in script
-			delete props.qIsScriptCreated;
+		for (i = 0; i < text.length; i++) {
+			hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+		}
 
-			return currApp.model.engineApp.createVariableEx(sanitizeObjectData(props));
-		},
+		return (hash >>> 0).toString(16);
+	},
 
-		/**
-		 * Update a variable in the app
-		 *
-		 * By default the variable is updated based on the variable name. Provide
-		 * `options.targetId` to update the variable based on id.
-		 *
-		 * @param  {Object} props   Variable properties
-		 * @param  {Object} options Optional. Import options.
-		 * @return {Promise} Variable updated
-		 */
-		update: function( props, options ) {
-			options = options || {};
+	/**
+	 * Return the hash of the object's properties in the app
+	 *
+	 * Objects with children are hashed with their whole property tree. Generated
+	 * metadata and the provenance are left out, so recording the hash in the
+	 * provenance does not change it.
+	 *
+	 * @param  {Object} change Change data with the object's `type` and `id`
+	 * @return {Promise} Hash
+	 */
+	getObjectHash = function( change ) {
+		return getObjectModel(change).then( function( object ) {
+			return engineMethods[change.type] ? object.getProperties() : object.getFullPropertyTree();
+		}).then( function( qData ) {
+
+			// Sort keys, so the hash does not depend on their order
+			return hashText(JSON.stringify((function sort( a ) {
+				if (Array.isArray(a)) {
+					return a.map(sort);
+				} else if (a && "object" === typeof a) {
+					return _.keys(a).sort().filter( function( key ) {
+						return "qMeta" !== key && "importedFrom" !== key;
+					}).reduce( function( retval, key ) {
+						retval[key] = sort(a[key]);
+						return retval;
+					}, {});
+				}
 
-			// Update based on id or name
-			var getVariable = currApp.model.engineApp[options.targetId ? "getVariableById" : "getVariableByName"](options.targetId || props.qName);
+				return a;
+			})(qData)));
+		});
+	},
 
-			return getVariable.then( function( targetObject ) {
+	/**
+	 * Record the hashes of the imported objects' properties in their provenance
+	 *
+	 * The hashes are taken after the import is completed, so that later edits in the
+	 * app are detected by comparing the object's current hash.
+	 *
+	 * @param  {Array} changes Recorded changes of the import
+	 * @return {Promise} Hashes are recorded
+	 */
+	stampObjectHashes = function( changes ) {
+		return _.uniq(changes.filter( function( a ) {
+			return a.id && "setScript" !== a.action && "alternate-state" !== a.type;
+		}), false, function( a ) {
+			return a.type.concat(":", a.id);
+		}).reduce( function( promise, change ) {
+			return promise.then( function() {
+				return getObjectModel(change).then( function( object ) {
+					return object.getProperties().then( function( props ) {
+						var provenance = getProvenance(props);
+
+						// Bail when the object is not linked
+						if (! provenance) {
+							return;
+						}
+
+						return getObjectHash(change).then( function( hash ) {
+							props.qMetaDef.importedFrom = _.extend({}, provenance, {
+								propertiesHash: hash
+							});
+
+							return object.setProperties(props);
+						});
+					});
+				}).catch( function( error ) {
 
-				// Update the object's properties
-				return targetObject.getProperties().then( function() {
+					// Continue with other objects
+					console.error(error);
+				});
+			});
+		}, $q.resolve());
+	},
 
-					// Keep the target's id
-					props.qInfo.qId = targetObject.properties.qInfo.qId;
+	/**
+	 * Revert the recorded changes in the app
+	 *
+	 * Changes are reverted in reverse order. Created objects are destroyed, previous
+	 * properties and the previous script are restored. Changes that cannot be reverted
+	 * are skipped and reported.
+	 *
+	 * @param  {Array} journal Recorded changes
+	 * @return {Promise} Resolves with the failed changes as objects with `change` and `error`
+	 */
+	revertChanges = function( journal ) {
+		var engineApp = currApp.model.enigmaModel, failed = [];
+
+		return journal.slice().reverse().reduce( function( promise, change ) {
+			return promise.then( function() {
+				switch (change.action) {
+					case "create":
+						return engineApp[engineMethods[change.type] && engineMethods[change.type].destroy || "destroyObject"](change.id);
+
+					case "setProperties":
+						return getObjectModel(change).then( function( a ) {
+							return a.setProperties(change.properties);
+						});
 
-					// Updated variables may have been created in script
-					props.qIsScriptCreated = !! targetObject.properties.qIsScriptCreated;
+					case "setFullPropertyTree":
+						return getObjectModel(change).then( function( a ) {
+							return a.setFullPropertyTree(change.propertyTree);
+						});
 
-					// Update the object's properties
-					return targetObject.setProperties(props);
-				});
+					case "setScript":
+						return currApp.setScript(change.qScript);
+				}
 			}).catch( function( error ) {
 
-				// Variable is not found, because it doesn't exist. Try adding it instead
-				return variable.add(props);
+				// Continue reverting other changes
+				console.error(error);
+				failed.push({
+					change: change,
+					error: error && error.message || String(error)
+				});
 			});
-		}
+		}, $q.resolve()).then( function() {
+			return failed;
+		});
 	},
 
 	/**
@@ -497,6 +2478,20 @@ define([
 		measure: measure,
 		masterObject: masterObject,
 		"alternate-state": alternateState,
-		variable: variable
+		variable: variable,
+		bookmark: bookmark,
+		story: story,
+		appSettings: appSettings,
+		getLibraryIds: getLibraryIds,
+		getStateNames: getStateNames,
+		convertSheetLayout: convertSheetLayout,
+		getPropertyGroups: getPropertyGroups,
+		getProvenance: getProvenance,
+		removeProvenance: removeProvenance,
+		getSourceObject: getSourceObject,
+		revertChanges: revertChanges,
+		getObjectHash: getObjectHash,
+		stampObjectHashes: stampObjectHashes,
+		sanitizeObjectData: sanitizeObjectData
 	};
 });
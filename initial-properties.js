@@ -11,6 +11,7 @@ define([
 ], function( qext ) {
 	return {
 		showTitles: false,
-		title: JSON.parse(qext).title
+		title: JSON.parse(qext).title,
+		recipes: []
 	};
 });
@@ -0,0 +1,219 @@
+/**
+ * E-mergo App Object Importer media functions
+ *
+ * Media files are images in an app's media library that are referenced in the
+ * properties of sheets and objects.
+ *
+ * @version 20261019
+ * @author Laurens Offereins <https://github.com/lmoffereins>
+ *
+ * @param  {Object} _                   Underscore
+ * @param  {Object} $q                  Angular's Q promise library
+ * @param  {Object} util                E-mergo utility functions
+ * @return {Object}                     Media API
+ */
+define([
+	"underscore",
+	"ng!$q",
+	"./util/util"
+], function( _, $q, util ) {
+
+	/**
+	 * Return the pattern that matches the app's media urls
+	 *
+	 * Matches paths of the Qlik Cloud media library, the client-managed app content
+	 * library and content libraries that are named after the app.
+	 *
+	 * @param  {String} appId App id
+	 * @return {RegExp} Media url pattern
+	 */
+	var getMediaPattern = function( appId ) {
+		var id = appId.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+		return new RegExp("(?:/api/v1/apps/".concat(id, "/media/files/|/appcontent/", id, "/|/content/", id, "/)[^\\s\"'()<>\\[\\]]+"), "g");
+	},
+
+	/**
+	 * Walk the string values in the object data
+	 *
+	 * @param  {Mixed}    qData    Object data or property tree. Can be a list.
+	 * @param  {Function} callback Receives the string value. Return a string to replace the value.
+	 * @return {Mixed} Object data
+	 */
+	walkStrings = function( qData, callback ) {
+		var i, value;
+
+		if (_.isObject(qData)) {
+			for (i in qData) {
+				if (qData.hasOwnProperty(i)) {
+					if ("string" === typeof qData[i]) {
+						value = callback(qData[i]);
+
+						if ("string" === typeof value) {
+							qData[i] = value;
+						}
+					} else {
+						walkStrings(qData[i], callback);
+					}
+				}
+			}
+		}
+
+		return qData;
+	},
+
+	/**
+	 * Return the media urls of the app that are referenced in the object data
+	 *
+	 * @param  {Mixed}  qData Object data or property tree. Can be a list.
+	 * @param  {String} appId Id of the app that holds the media
+	 * @return {Array} Media urls
+	 */
+	findMediaUrls = function( qData, appId ) {
+		var urls = [], pattern = getMediaPattern(appId);
+
+		walkStrings(qData, function( value ) {
+			Array.prototype.push.apply(urls, value.match(pattern) || []);
+		});
+
+		return _.uniq(urls);
+	},
+
+	/**
+	 * Return the file path of the media url within the app's media library
+	 *
+	 * @param  {String} url   Media url
+	 * @param  {String} appId Id of the app that holds the media
+	 * @return {String} File path
+	 */
+	getMediaPath = function( url, appId ) {
+		return url.substr(url.indexOf(appId) + appId.length).replace(/^\/(media\/files\/)?/, "");
+	},
+
+	/**
+	 * Copy the media file to the target app's media library
+	 *
+	 * @param  {String} url      Media url
+	 * @param  {String} sourceId Id of the source app
+	 * @param  {String} targetId Id of the target app
+	 * @return {Promise} Resolves with the media url in the target app
+	 */
+	copyMediaFile = function( url, sourceId, targetId ) {
+		var path = getMediaPath(url, sourceId);
+
+		// Bail when the context has no media library to upload to
+		if (util.isQlikSenseDesktop) {
+			return $q.reject("Media not copied: media libraries are not available in Qlik Sense Desktop");
+		}
+
+		return util.qlikRequest({
+			url: url,
+			applyPrefix: ! util.isQlikCloud,
+			responseType: "blob"
+		}).then( function( resp ) {
+			var data;
+
+			// Qlik Cloud
+			if (util.isQlikCloud) {
+				data = new FormData();
+				data.append("data", resp.data, path.split("/").pop());
+
+				return util.qlikRequest({
+					method: "PUT",
+					url: "/api/v1/apps/".concat(targetId, "/media/files/", path),
+					data: data
+				}).then( function() {
+					return "/api/v1/apps/".concat(targetId, "/media/files/", path);
+				});
+
+			// Client-managed
+			} else {
+				return util.qlikRequest({
+					method: "POST",
+					url: "/qrs/appcontent/".concat(targetId, "/uploadfile"),
+					params: {
+						externalpath: path,
+						overwrite: false
+					},
+					headers: {
+						"Content-Type": resp.data.type || "application/octet-stream"
+					},
+					data: resp.data
+				}).then( function( resp ) {
+					return "string" === typeof resp.data && resp.data.length ? resp.data : "/appcontent/".concat(targetId, "/", path);
+				}).catch( function( error ) {
+
+					// The file already exists in the target app
+					if (error && error.response && 409 === error.response.status) {
+						return "/appcontent/".concat(targetId, "/", path);
+					}
+
+					return $q.reject(error);
+				});
+			}
+		});
+	},
+
+	/**
+	 * Replace the media urls in the object data
+	 *
+	 * @param  {Mixed}  qData Object data or property tree. Can be a list.
+	 * @param  {Object} urlMap Target urls by source url
+	 * @return {Mixed} Object data
+	 */
+	rewriteMediaUrls = function( qData, urlMap ) {
+		var urls = _.keys(urlMap).sort( function( a, b ) {
+			return b.length - a.length;
+		});
+
+		return walkStrings(qData, function( value ) {
+			return urls.reduce( function( a, url ) {
+				return a.split(url).join(urlMap[url]);
+			}, value);
+		});
+	},
+
+	/**
+	 * Copy the referenced media files to the target app and rewrite their urls
+	 *
+	 * Files that cannot be copied keep their original url. Provide a shared object
+	 * in `urlMap` to reuse copied files within a batch.
+	 *
+	 * @param  {Mixed}  qData    Object data or property tree. Can be a list.
+	 * @param  {String} sourceId Id of the source app
+	 * @param  {String} targetId Id of the target app
+	 * @param  {Object} urlMap   Optional. Target urls by source url.
+	 * @return {Promise} Resolves with the urls that could not be copied
+	 */
+	importMedia = function( qData, sourceId, targetId, urlMap ) {
+		var failed = [];
+
+		urlMap = urlMap || {};
+
+		return findMediaUrls(qData, sourceId).reduce( function( promise, url ) {
+			return promise.then( function() {
+
+				// Skip files that were copied before
+				if (urlMap.hasOwnProperty(url)) {
+					return;
+				}
+
+				return copyMediaFile(url, sourceId, targetId).then( function( targetUrl ) {
+					urlMap[url] = targetUrl;
+				}).catch( function( error ) {
+					console.error(error);
+					failed.push(url);
+				});
+			});
+		}, $q.resolve()).then( function() {
+			rewriteMediaUrls(qData, urlMap);
+
+			return failed;
+		});
+	};
+
+	return {
+		findMediaUrls: findMediaUrls,
+		importMedia: importMedia
+	};
+});
@@ -14,12 +14,16 @@
  * @param  {Object} props               Property panel definition
  * @param  {Object} initProps           Initial properties
  * @param  {Object} importers           Import functions
+ * @param  {Object} bundle              Bundle functions
+ * @param  {Object} diff                Diff functions
+ * @param  {Object} media               Media functions
  * @param  {Object} appInfo             App information functions
  * @param  {Object} util                E-mergo utility functions
  * @param  {Object} uiUtil              E-mergo UI utility functions
  * @param  {String} css                 Extension stylesheet
  * @param  {String} tmpl                Extension template file
  * @param  {String} modalTmpl           Extension modal template file
+ * @param  {String} linkedTmpl          Extension linked objects template file
  * @return {Object}                     Extension structure
  */
 define([
@@ -33,13 +37,17 @@ define([
 	"./properties",
 	"./initial-properties",
 	"./importers",
+	"./bundle",
+	"./diff",
+	"./media",
 	"./util/app-info",
 	"./util/util",
 	"./util/ui-util",
 	"text!./style.css",
 	"text!./template.ng.html",
-	"text!./modal.ng.html"
-], function( qlik, qvangular, axios, _, $q, translator, Resize, props, initProps, importers, appInfo, util, uiUtil, css, tmpl, modalTmpl ) {
+	"text!./modal.ng.html",
+	"text!./linked-objects.ng.html"
+], function( qlik, qvangular, axios, _, $q, translator, Resize, props, initProps, importers, bundle, diff, media, appInfo, util, uiUtil, css, tmpl, modalTmpl, linkedTmpl ) {
 
 	// Add global styles to the page
 	util.registerStyle("qs-emergo-app-object-importer", css);
@@ -65,7 +73,12 @@ define([
 				measure: getMeasureInfo(currApp),
 				masterObject: getMasterObjectInfo(currApp),
 				"alternate-state": getAlternateStateInfo(currApp),
-				variable: getVariableInfo(currApp)
+				variable: getVariableInfo(currApp),
+				bookmark: getBookmarkInfo(currApp, { validate: false }),
+				story: getStoryInfo(currApp),
+				appSettings: getAppSettingsInfo(currApp),
+				fieldNames: getFieldNames(currApp),
+				connections: getConnectionNames(currApp)
 			}).then( function( args ) {
 				for (var i in args) {
 					currAppObjects[i] = args[i];
@@ -74,16 +87,33 @@ define([
 		}
 	},
 
+	/**
+	 * Return the object in the current app that was imported from the item
+	 *
+	 * @param  {Object} item Object item
+	 * @return {Object|Undefined} Linked object
+	 */
+	findLinkedObjectInCurrentApp = function( item ) {
+		return item.sourceAppId ? _.find(currAppObjects[item.type] || [], function( a ) {
+			var provenance = importers.getProvenance(a.properties);
+
+			return provenance && provenance.appId === item.sourceAppId && provenance.objectId === item.id;
+		}) : undefined;
+	},
+
 	/**
 	 * Return whether the item already exists in the current app
 	 *
+	 * Items that were imported before are matched by their provenance. Other items
+	 * are matched by their title or definition.
+	 *
 	 * @param  {Object} item Object item
 	 * @return {Boolean} Item exists
 	 */
 	doesItemExistInCurrentApp = function( item ) {
-		var exists = false;
+		var exists = !! findLinkedObjectInCurrentApp(item);
 
-		if (item.type && currAppObjects[item.type]) {
+		if (! exists && item.type && currAppObjects[item.type]) {
 			switch (item.type) {
 				case "script":
 					exists = _.some(currAppObjects[item.type], function( a ) {
@@ -97,6 +127,12 @@ define([
 					});
 					break;
 
+				case "appSettings":
+					exists = _.some(currAppObjects[item.type], function( a ) {
+						return a.id === item.id && JSON.stringify(a.properties.value) === JSON.stringify(item.properties.value);
+					});
+					break;
+
 				case "dimension":
 					exists = _.some(currAppObjects[item.type], function( a ) {
 						return a.properties.qMetaDef.title === item.properties.qMetaDef.title;
@@ -134,22 +170,72 @@ define([
 							&& a.properties.qDefinition === item.properties.qDefinition;
 					});
 					break;
+
+				case "bookmark":
+					exists = _.some(currAppObjects[item.type], function( a ) {
+						return a.properties.qMetaDef.title === item.properties.qMetaDef.title;
+					});
+					break;
+
+				case "story":
+					exists = _.some(currAppObjects[item.type], function( a ) {
+						return a.properties.qMetaDef.title === item.properties.qMetaDef.title;
+					});
+					break;
 			}
 		}
 
 		return exists;
 	},
 
+	/**
+	 * Holds the labels of the conflict policies
+	 *
+	 * The policy defines what happens when an object already exists in the current app.
+	 *
+	 * @type {Object}
+	 */
+	conflictPolicies = {
+		duplicate: "Duplicate", // Translation?
+		overwrite: "Overwrite", // Translation?
+		rename: "Create renamed copy", // Translation?
+		skip: "Skip" // Translation?
+	},
+
+	/**
+	 * Return the conflict policy for the asset type
+	 *
+	 * @param  {Object} conflict Conflict options with the batch `policy` and `overrides` per asset type
+	 * @param  {String} type     Asset type
+	 * @return {String} Conflict policy
+	 */
+	getConflictPolicy = function( conflict, type ) {
+		var policy = conflict && (conflict.overrides && conflict.overrides[type] || conflict.policy) || "duplicate";
+
+		// App settings cannot be duplicated, so existing settings are overwritten
+		return "appSettings" === type && "skip" !== policy ? "overwrite" : policy;
+	},
+
 	/**
 	 * Return whether the item is importable in the current app
 	 *
-	 * @param  {Object} item Object item
+	 * With the `skip` and `overwrite` policies existing objects are not imported. With
+	 * the `rename` policy a renamed copy can always be imported. By default identical
+	 * objects are duplicated when their type allows it.
+	 *
+	 * @param  {Object} item   Object item
+	 * @param  {String} policy Optional. Conflict policy. Defaults to `duplicate`.
 	 * @return {Boolean} Item is importable
 	 */
-	isItemImportableInCurrentApp = function( item ) {
+	isItemImportableInCurrentApp = function( item, policy ) {
 		var importable = true;
 
-		if (item.type && currAppObjects[item.type]) {
+		// Existing objects are skipped or updated
+		if ("skip" === policy || "overwrite" === policy) {
+			importable = ! hasConflictInCurrentApp(item);
+
+		// Duplicate when possible
+		} else if ("rename" !== policy && item.type && currAppObjects[item.type]) {
 			switch (item.type) {
 
 				// Cannot import identical states
@@ -171,6 +257,390 @@ define([
 		return importable;
 	},
 
+	/**
+	 * Return whether the item conflicts with an object in the current app
+	 *
+	 * @param  {Object} item Object item
+	 * @return {Boolean} Item conflicts
+	 */
+	hasConflictInCurrentApp = function( item ) {
+		return !! getTargetIdIfItemIsUpdatableInCurrentApp(item) || doesItemExistInCurrentApp(item) || ! isItemImportableInCurrentApp(item);
+	},
+
+	/**
+	 * Return the item's name in the app
+	 *
+	 * @param  {String} type  Object type
+	 * @param  {Mixed}  props Object properties
+	 * @return {String} Name
+	 */
+	getItemName = function( type, props ) {
+		switch (type) {
+			case "script":
+				return props.tab;
+			case "alternate-state":
+				return props;
+			case "variable":
+				return props.qName;
+			case "appSettings":
+				return props.name;
+			default:
+				return props.qMetaDef.title;
+		}
+	},
+
+	/**
+	 * Return the properties with the item's new name
+	 *
+	 * @param  {String} type  Object type
+	 * @param  {Mixed}  props Object properties. Changed in place.
+	 * @param  {String} name  New name
+	 * @return {Mixed} Object properties
+	 */
+	setItemName = function( type, props, name ) {
+		switch (type) {
+			case "script":
+				props.tab = name;
+				break;
+			case "alternate-state":
+				props = name;
+				break;
+			case "variable":
+				props.qName = name;
+				break;
+			case "appSettings":
+				break;
+			default:
+				props.qMetaDef.title = name;
+		}
+
+		return props;
+	},
+
+	/**
+	 * Holds the labels of the places where imported variables are created
+	 *
+	 * @type {Object}
+	 */
+	variableTargets = {
+		app: "In the app", // Translation?
+		script: "In the script", // Translation?
+		source: "As in the selected app" // Translation?
+	},
+
+	/**
+	 * Return whether the variable item is written to the load script
+	 *
+	 * @param  {Object} item    Object item
+	 * @param  {Object} options Variable options with the `target`
+	 * @return {Boolean} Variable is written to the script
+	 */
+	isVariableForScript = function( item, options ) {
+		return "variable" === item.type && !! options && ("script" === options.target || ("source" === options.target && !! item.properties.qIsScriptCreated));
+	},
+
+	/**
+	 * Holds the labels of the positions at which imported script sections are added
+	 *
+	 * @type {Object}
+	 */
+	scriptPositions = {
+		end: "At the end", // Translation?
+		start: "At the top", // Translation?
+		before: "Before section", // Translation?
+		after: "After section", // Translation?
+		source: "Keep source order" // Translation?
+	},
+
+	/**
+	 * Return the description of where the script section is added
+	 *
+	 * @param  {Object} options Script position options with `position` and `tab`
+	 * @return {String} Position description
+	 */
+	getScriptPositionLabel = function( options ) {
+		switch (options && options.position) {
+			case "start":
+				return "at the top of the script";
+			case "before":
+			case "after":
+				return options.position.concat(" the section '", options.tab, "'");
+			case "source":
+				return "in the order of the selected app's script";
+			default:
+				return "at the end of the script";
+		}
+	},
+
+	/**
+	 * Holds the labels of the grid sizes to which imported sheets are converted
+	 *
+	 * @type {Object}
+	 */
+	sheetLayoutGrids = {
+		source: "As in the selected app", // Translation?
+		current: "As in your app", // Translation?
+		small: "Small", // Translation?
+		medium: "Medium", // Translation?
+		large: "Large" // Translation?
+	},
+
+	/**
+	 * Holds the labels of the layouts to which imported sheets are converted
+	 *
+	 * @type {Object}
+	 */
+	sheetLayoutModes = {
+		source: "As in the selected app", // Translation?
+		fixed: "Fixed", // Translation?
+		extendable: "Extendable" // Translation?
+	},
+
+	/**
+	 * Return the sheet layout for converting imported sheets
+	 *
+	 * The `current` grid size resolves to the grid size that is most used by the
+	 * sheets in the current app. Layout settings that keep the source's layout are
+	 * not returned.
+	 *
+	 * @param  {Object} options Sheet layout options with `grid` and `mode`
+	 * @return {Object} Sheet layout with `grid` and `mode`
+	 */
+	getSheetLayout = function( options ) {
+		var layout = {}, counts;
+
+		if (! options) {
+			return layout;
+		}
+
+		if ("current" === options.grid) {
+			counts = _.countBy(currAppObjects.sheet || [], function( a ) {
+				return a.properties.gridResolution || "medium";
+			});
+
+			layout.grid = _.max(_.keys(counts), function( a ) {
+				return counts[a];
+			});
+
+			// Default to the default grid size
+			if (! counts[layout.grid]) {
+				layout.grid = "medium";
+			}
+		} else if ("source" !== options.grid) {
+			layout.grid = options.grid;
+		}
+
+		if ("source" !== options.mode) {
+			layout.mode = options.mode;
+		}
+
+		return layout;
+	},
+
+	/**
+	 * Return the schematic preview of the sheet in the layout
+	 *
+	 * Cell positions are relative to the sheet's full height. The sheet's default
+	 * height is drawn as a 16:9 area.
+	 *
+	 * @param  {Object} item   Sheet item
+	 * @param  {Object} layout Sheet layout with `grid` and `mode`
+	 * @return {Object} Preview with `cells`, `ratio` and `fold`
+	 */
+	getLayoutPreview = function( item, layout ) {
+		var props = importers.convertSheetLayout(item.properties, layout),
+		    columns = props.columns || 24, rows = props.rows || 12,
+		    totalRows = (props.cells || []).reduce( function( a, cell ) {
+				return Math.max(a, cell.row + cell.rowspan);
+		    }, rows);
+
+		return {
+			columns: columns,
+			rows: rows,
+			ratio: 56.25 * totalRows / rows,
+			fold: 100 * rows / totalRows,
+			cells: (props.cells || []).map( function( cell ) {
+				var visualization = _.find(item.visualizations || [], function( a ) {
+					return a.properties.qInfo.qId === cell.name;
+				});
+
+				return {
+					label: visualization ? visualization.properties.visualization || visualization.properties.qInfo.qType : cell.type,
+					left: 100 * cell.col / columns,
+					top: 100 * cell.row / totalRows,
+					width: 100 * cell.colspan / columns,
+					height: 100 * cell.rowspan / totalRows
+				};
+			})
+		};
+	},
+
+	/**
+	 * Holds the object types to which rename rules apply
+	 *
+	 * @type {Array}
+	 */
+	renameTypes = ["script", "sheet", "dimension", "measure", "masterObject", "alternate-state", "variable"],
+
+	/**
+	 * Return empty rename rules
+	 *
+	 * @return {Object} Rename rules
+	 */
+	getDefaultRenameRules = function() {
+		return {
+			prefix: "",
+			suffix: "",
+			search: "",
+			replace: ""
+		};
+	},
+
+	/**
+	 * Return the regular expression of the rename rules
+	 *
+	 * @param  {Object} rules Rename rules
+	 * @return {RegExp|Null} Regular expression or null when not defined or invalid
+	 */
+	getRenamePattern = function( rules ) {
+		var pattern = null;
+
+		if (rules && rules.search) {
+			try {
+				pattern = new RegExp(rules.search, "g");
+			} catch (error) {
+				pattern = null;
+			}
+		}
+
+		return pattern;
+	},
+
+	/**
+	 * Return the name after applying the rename rules
+	 *
+	 * The regular expression is replaced first, then the prefix and suffix are added.
+	 * The `{sourceApp}` token is replaced with the name of the source app.
+	 *
+	 * @param  {String} name          Name
+	 * @param  {Object} rules         Rename rules with `prefix`, `suffix`, `search` and `replace`
+	 * @param  {String} sourceAppName Name of the source app
+	 * @return {String} New name
+	 */
+	applyRenameRules = function( name, rules, sourceAppName ) {
+		var pattern = getRenamePattern(rules),
+
+		/**
+		 * Return the rule's text with the tokens replaced
+		 *
+		 * @param  {String} text Rule text
+		 * @return {String} Text
+		 */
+		replaceTokens = function( text ) {
+			return (text || "").split("{sourceApp}").join(sourceAppName || "");
+		};
+
+		// Bail when no rules apply
+		if (! rules) {
+			return name;
+		}
+
+		if (pattern) {
+			name = name.replace(pattern, replaceTokens(rules.replace));
+		}
+
+		return replaceTokens(rules.prefix).concat(name, replaceTokens(rules.suffix));
+	},
+
+	/**
+	 * Return the name with which the item is imported in the current app
+	 *
+	 * Rename rules are applied first. With the `rename` conflict policy existing objects
+	 * are given a name that is not yet used.
+	 *
+	 * @param  {Object} item    Object item
+	 * @param  {Object} options Import options with `rename` rules, `sourceAppName` and `conflict` options
+	 * @return {String} Name
+	 */
+	getImportName = function( item, options ) {
+		var name = getItemName(item.type, item.properties);
+
+		if (-1 !== renameTypes.indexOf(item.type)) {
+			name = applyRenameRules(name, options.rename, options.sourceAppName);
+		}
+
+		if ("rename" === getConflictPolicy(options.conflict, item.type) && hasConflictInCurrentApp(item)) {
+			name = getUniqueItemName(item, name);
+		}
+
+		return name;
+	},
+
+	/**
+	 * Return a name that is not yet used for objects of the item's type in the current app
+	 *
+	 * Names of variables and alternate states are suffixed with a number, other names
+	 * with a number in parentheses.
+	 *
+	 * @param  {Object} item Object item
+	 * @param  {String} name Name
+	 * @return {String} Unique name
+	 */
+	getUniqueItemName = function( item, name ) {
+		var names = (currAppObjects[item.type] || []).map( function( a ) {
+			return "script" === item.type ? a.label : getItemName(item.type, a.properties);
+		}), unique = name, i = 1;
+
+		while (-1 !== names.indexOf(unique)) {
+			unique = "variable" === item.type || "alternate-state" === item.type ? name.concat("_", ++i) : name.concat(" (", ++i, ")");
+		}
+
+		return unique;
+	},
+
+	/**
+	 * Return the item's properties for comparing them between apps
+	 *
+	 * Ids, generated metadata and the provenance differ between apps by definition
+	 * and are removed.
+	 *
+	 * @param  {String} type  Object type
+	 * @param  {Object} props Object properties
+	 * @return {Object} Comparable properties
+	 */
+	getComparableProperties = function( type, props ) {
+		var comparable = _.omit(importers.removeProvenance(props), ["qInfo", "qMeta", "qIsScriptCreated"]);
+
+		// Cell names are generated per app
+		if ("sheet" === type) {
+			comparable.cells = (comparable.cells || []).map( function( a ) {
+				return _.omit(a, "name");
+			});
+		}
+
+		return comparable;
+	},
+
+	/**
+	 * Return the item's children for comparing them between apps
+	 *
+	 * Snapshots are not imported and embedded sheets differ between apps, so both are
+	 * removed as well.
+	 *
+	 * @param  {Array} children Property trees of the children
+	 * @return {Array} Comparable children
+	 */
+	getComparableChildren = function( children ) {
+		return (children || []).filter( function( a ) {
+			return ! appInfo.isSnapshotSlideItem(a.qProperty);
+		}).map( function( a ) {
+			return {
+				qProperty: _.omit(getComparableProperties(a.qProperty.qInfo.qType, a.qProperty), "sheetId"),
+				qChildren: getComparableChildren(a.qChildren)
+			};
+		});
+	},
+
 	/**
 	 * Return the first object's id for which the item is updatable in the current app
 	 *
@@ -178,12 +648,15 @@ define([
 	 * @return {String} Updatable object id
 	 */
 	getTargetIdIfItemIsUpdatableInCurrentApp = function( item ) {
-		var targetId;
+		var targetId, linked = findLinkedObjectInCurrentApp(item),
+
+		// Only consider the linked object when available
+		candidates = linked ? [linked] : currAppObjects[item.type];
 
 		if (item.type && currAppObjects[item.type]) {
 			switch (item.type) {
 				case "script":
-					targetId = currAppObjects[item.type].filter( function( a ) {
+					targetId = candidates.filter( function( a ) {
 						// Check by title and script
 						return a.label === item.label
 							&& a.code.script.value !== item.code.script.value;
@@ -195,58 +668,76 @@ define([
 					break;
 
 				case "sheet":
-				    var _item = _.omit(item.properties, "qInfo");
-				    _item.cells = _item.cells.map( function( a ) { return _.omit(a, "name"); });
+				    var _item = getComparableProperties(item.type, item.properties);
 
-					targetId = currAppObjects[item.type].filter( function( a ) {
-						var _a = _.omit(a.properties, "qInfo");
-					    _a.cells = _a.cells.map( function( b ) { return _.omit(b, "name"); });
+					targetId = candidates.filter( function( a ) {
+						var _a = getComparableProperties(item.type, a.properties);
 
-						// Check by title and definition without cell names
-						return a.properties.qMetaDef.title === item.properties.qMetaDef.title
+						// Check by link or title and definition without cell names
+						return (!! linked || a.properties.qMetaDef.title === item.properties.qMetaDef.title)
 							&& JSON.stringify(_a) !== JSON.stringify(_item);
 					});
 					break;
 
 				case "dimension":
-					targetId = currAppObjects[item.type].filter( function( a ) {
-						// Check by title and definition
-						return a.properties.qMetaDef.title === item.properties.qMetaDef.title
+					targetId = candidates.filter( function( a ) {
+						// Check by link or title and definition
+						return (!! linked || a.properties.qMetaDef.title === item.properties.qMetaDef.title)
 							&& JSON.stringify(a.properties.qDim) !== JSON.stringify(item.properties.qDim);
 					});
 					break;
 
 				case "measure":
-					targetId = currAppObjects[item.type].filter( function( a ) {
-						// Check by title and definition
-						return a.properties.qMetaDef.title === item.properties.qMetaDef.title
+					targetId = candidates.filter( function( a ) {
+						// Check by link or title and definition
+						return (!! linked || a.properties.qMetaDef.title === item.properties.qMetaDef.title)
 							&& JSON.stringify(a.properties.qMeasure) !== JSON.stringify(item.properties.qMeasure);
 					});
 					break;
 
 				case "masterObject":
-				    var _item = _.omit(item.properties, "qInfo");
+				    var _item = getComparableProperties(item.type, item.properties);
 
-					targetId = currAppObjects[item.type].filter( function( a ) {
-						var _a = _.omit(a.properties, "qInfo");
+					targetId = candidates.filter( function( a ) {
+						var _a = getComparableProperties(item.type, a.properties);
 
-						// Check by title and definition
-						return a.properties.qMetaDef.title === item.properties.qMetaDef.title
+						// Check by link or title and definition
+						return (!! linked || a.properties.qMetaDef.title === item.properties.qMetaDef.title)
 							&& JSON.stringify(_a) !== JSON.stringify(_item);
 					});
 					break;
 
 				case "variable":
-				    var _item = _.omit(item.properties, ["qInfo", "qMeta", "qIsScriptCreated"]);
+				    var _item = getComparableProperties(item.type, item.properties);
 
-					targetId = currAppObjects[item.type].filter( function( a ) {
-						var _a = _.omit(a.properties, ["qInfo", "qMeta", "qIsScriptCreated"]);
+					targetId = candidates.filter( function( a ) {
+						var _a = getComparableProperties(item.type, a.properties);
 
-						// Check by title and definition
-						return a.properties.qName === item.properties.qName
+						// Check by link or name and definition
+						return (!! linked || a.properties.qName === item.properties.qName)
+							&& JSON.stringify(_a) !== JSON.stringify(_item);
+					});
+					break;
+
+				case "story":
+				    var _item = [getComparableProperties(item.type, item.properties), getComparableChildren(item.children)];
+
+					targetId = candidates.filter( function( a ) {
+						var _a = [getComparableProperties(item.type, a.properties), getComparableChildren(a.children)];
+
+						// Check by link or title and slides
+						return (!! linked || a.properties.qMetaDef.title === item.properties.qMetaDef.title)
 							&& JSON.stringify(_a) !== JSON.stringify(_item);
 					});
 					break;
+
+				case "appSettings":
+					targetId = candidates.filter( function( a ) {
+						// Check by setting and value
+						return a.id === item.id
+							&& JSON.stringify(a.properties.value) !== JSON.stringify(item.properties.value);
+					});
+					break;
 			}
 		}
 
@@ -257,20 +748,89 @@ define([
 	},
 
 	/**
-	 * Define additional parameters on an app object's item
+	 * Return the property differences between the item and its updatable target
 	 *
-	 * @param  {Object} item App object item
-	 * @return {Object} Item
+	 * @param  {Object} item Object item
+	 * @return {Array|Null} Diff entries or null when not applicable
 	 */
-	prepareItem = function( item ) {
-		var details = [], i;
+	getItemDiff = function( item ) {
+		var target;
 
-		// Define item statuses
+		// Script sections are not compared by properties
+		if (! item.updatableTargetId || "script" === item.type) {
+			return null;
+		}
+
+		target = _.findWhere(currAppObjects[item.type] || [], { id: item.updatableTargetId });
+
+		return target ? diff.getPropertyDiff(getComparableProperties(item.type, item.properties), getComparableProperties(item.type, target.properties)) : null;
+	},
+
+	/**
+	 * Return the line-level differences of the script item with its updatable target
+	 *
+	 * @param  {Object} item Script item
+	 * @return {Array|Null} Line diff hunks
+	 */
+	getItemLineDiff = function( item ) {
+		var target;
+
+		// Only script sections are compared by line
+		if (! item.updatableTargetId || "script" !== item.type) {
+			return null;
+		}
+
+		target = _.findWhere(currAppObjects.script || [], { label: item.updatableTargetId });
+
+		return target ? diff.getLineDiff(item.code.script.value, target.code.script.value) : null;
+	},
+
+	/**
+	 * Return the line diff of the script item, computing it when not done yet
+	 *
+	 * Comparing large script sections is costly, so line diffs are only computed
+	 * when the item is viewed or updated.
+	 *
+	 * @param  {Object} item Script item
+	 * @return {Array|Null} Line diff hunks
+	 */
+	loadItemLineDiff = function( item ) {
+		if ("undefined" === typeof item.lineDiff) {
+			item.lineDiff = getItemLineDiff(item);
+		}
+
+		return item.lineDiff;
+	},
+
+	/**
+	 * Return the amount of change hunks in the line diff
+	 *
+	 * @param  {Array}   hunks    Line diff hunks
+	 * @param  {Boolean} accepted Optional. Whether to only count accepted or rejected hunks.
+	 * @return {Number} Amount of change hunks
+	 */
+	getChangeCount = function( hunks, accepted ) {
+		return (hunks || []).filter( function( hunk ) {
+			return "change" === hunk.type && ("undefined" === typeof accepted || accepted === hunk.accepted);
+		}).length;
+	},
+
+	/**
+	 * Define the statuses of an app object's item
+	 *
+	 * @param  {Object} item   App object item
+	 * @param  {String} policy Optional. Conflict policy.
+	 * @return {Object} Item
+	 */
+	setItemStatus = function( item, policy ) {
 		item.updatableTargetId = getTargetIdIfItemIsUpdatableInCurrentApp(item);
+		item.diff = getItemDiff(item);
+		item.lineDiff = undefined; // Computed on demand
+		item.missingStates = getMissingStates(item);
 		item.status = {
 			selected: false,
 			exists: doesItemExistInCurrentApp(item),
-			importable: isItemImportableInCurrentApp(item),
+			importable: isItemImportableInCurrentApp(item, policy),
 			importing: false,
 			imported: false,
 			importFailed: false,
@@ -280,18 +840,90 @@ define([
 			updateFailed: false
 		};
 
-		// Add tags to search terms
-		item.searchTerms = item.searchTerms || "";
-		if (item.details && item.details.tags) {
-			item.searchTerms += item.details.tags.value.join(" ").concat(" ");
+		// Define the selection for adding the sheet's cells to an existing sheet
+		if ("sheet" === item.type) {
+			item.merge = {
+				cells: {},
+				targetId: "",
+				merging: false,
+				merged: false,
+				mergeFailed: false
+			};
 		}
 
-		// Transform details to objects of name/label/value
-		for (i in item.details || {}) {
+		// Update all property groups by default
+		item.update = {
+			groups: _.object(importers.getPropertyGroups(item.type).map( function( a ) {
+				return [a.id, true];
+			}))
+		};
 
-			// Only list defined values
-			if (item.details.hasOwnProperty(i) && null !== item.details[i] && "undefined" !== typeof item.details[i]) {
-				value = (item.details[i].hasOwnProperty && item.details[i].hasOwnProperty("value")) ? item.details[i].value : item.details[i];
+		// Define the story's references to your app
+		if ("story" === item.type) {
+			item.storyReferences = getStoryReferences(item);
+		}
+
+		return item;
+	},
+
+	/**
+	 * Return the references of the story in the current app
+	 *
+	 * Embedded sheets are matched with sheets in the current app by title. Slide items
+	 * that show a snapshot cannot be moved to another app and are reported.
+	 *
+	 * @param  {Object} item Story item
+	 * @return {Object} References with `sheetIds` by source sheet id and `warnings`
+	 */
+	getStoryReferences = function( item ) {
+		var references = { sheetIds: {}, warnings: [] };
+
+		(item.embeddedSheets || []).forEach( function( a ) {
+			var sheet = _.findWhere(currAppObjects.sheet || [], { label: a.label });
+
+			if (sheet) {
+				references.sheetIds[a.id] = sheet.id;
+			} else {
+				references.warnings.push("The embedded sheet '".concat(a.label || a.id, "' is not found in your app"));
+			}
+		});
+
+		(item.snapshots || []).forEach( function( a ) {
+			references.warnings.push("The snapshot on slide ".concat(a.slide, " (", a.label, ") cannot be moved to your app and will be skipped"));
+		});
+
+		return references;
+	},
+
+	/**
+	 * Define additional parameters on an app object's item
+	 *
+	 * @param  {Object} item App object item
+	 * @return {Object} Item
+	 */
+	prepareItem = function( item ) {
+		var details = [], i;
+
+		// Define item statuses
+		setItemStatus(item);
+
+		// Collect human readable validation errors
+		item.validationErrors = (item.errors || []).map( function( a ) {
+			return "string" === typeof a ? a : a.message.concat(a.errorData ? ": ".concat(a.errorData.join(", ")) : "");
+		});
+
+		// Add tags to search terms
+		item.searchTerms = item.searchTerms || "";
+		if (item.details && item.details.tags) {
+			item.searchTerms += item.details.tags.value.join(" ").concat(" ");
+		}
+
+		// Transform details to objects of name/label/value
+		for (i in item.details || {}) {
+
+			// Only list defined values
+			if (item.details.hasOwnProperty(i) && null !== item.details[i] && "undefined" !== typeof item.details[i]) {
+				value = (item.details[i].hasOwnProperty && item.details[i].hasOwnProperty("value")) ? item.details[i].value : item.details[i];
 
 				if (false === value || (value && value.length)) {
 					details.push({
@@ -311,281 +943,1286 @@ define([
 	},
 
 	/**
-	 * Get the app's script information
+	 * Return the load options for validating items in the current app
 	 *
-	 * @param  {Object} app An app's API
-	 * @return {Promise}    List of app script sections
+	 * Expressions of the selected app's items are validated against the current app's
+	 * data model, so that items that will break after importing are marked.
+	 *
+	 * @return {Object} Load options
 	 */
-	getScriptInfo = function( app ) {
-		var dfd = $q.defer();
-
-		return appInfo.script(app.id).then( function( info ) {
-			return info.map( function( a ) {
-				a.code = a.code || {};
-
-				// Set item type
-				a.type = "script";
-
-				// Setup code from script
-				if (a.hasOwnProperty("script") && ! a.code.hasOwnProperty("script")) {
-					a.code.script = {
-						label: "Script",
-						value: a.script
-					};
-				}
-
-				// Proxy for item properties
-				a.properties = {
-					tab: a.label,
-					qScript: a.script
-				};
-
-				return a;
-			});
-		});
+	getValidationOptions = function() {
+		return {
+			validate: true,
+			validateApp: currApp
+		};
 	},
 
 	/**
-	 * Get the app's sheet information
+	 * Return whether the item contains errors in the current app
 	 *
-	 * @param  {Object}  app     The app's API
-	 * @param  {Object}  options Optional. Whether to load sheet objects. Defaults to True.
-	 * @return {Promise}         List of app sheets
+	 * @param  {Object} item Object item
+	 * @return {Boolean} Item has errors
 	 */
-	getSheetInfo = function( app, options ) {
-		return appInfo.sheets(app.id, _.defaults(options || {}, {
-			loadWithObjects: true,
-			includeSummary: false
-		})).then( function( info ) {
-			return info.map( function( a ) {
-
-				// Set item type
-				a.type = "sheet";
-
-				// Define preview
-				a.preview = {
-					url: getSingleSheetUrl({
-						appId: app.id,
-						sheetId: a.id,
-						opts: "nointeraction,noselections"
-					})
-				};
-
-				return a;
-			});
-		});
+	hasItemErrors = function( item ) {
+		return !! (item.validationErrors && item.validationErrors.length);
 	},
 
 	/**
-	 * Get the app's dimension information
+	 * Holds the labels of the import plan actions
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app dimensions
+	 * @type {Object}
 	 */
-	getDimensionInfo = function( app ) {
-		return appInfo.dimensions(app.id).then( function( info ) {
-			return info.map( function( a ) {
-
-				// Set item type
-				a.type = "dimension";
-
-				// Define additional search terms
-				if (a.details && a.details.definition) {
-					a.searchTerms = a.details.definition.value.concat(" ");
-				}
-
-				return a;
-			});
-		});
+	planActions = {
+		create: "Create", // Translation?
+		update: "Update", // Translation?
+		skip: "Skip", // Translation?
+		fail: "Fail" // Translation?
 	},
 
 	/**
-	 * Get the app's measure information
+	 * Return the alternate states of the item that are missing in the current app
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app measures
+	 * The whole property tree of the item is searched, including the visualizations
+	 * of sheets and their linked master visualizations.
+	 *
+	 * @param  {Object} item Object item
+	 * @return {Array} Alternate state names
 	 */
-	getMeasureInfo = function( app ) {
-		return appInfo.measures(app.id).then( function( info ) {
-			return info.map( function( a ) {
+	getMissingStates = function( item ) {
+		var qData = [item.properties, item.children], states;
 
-				// Set item type
-				a.type = "measure";
+		switch (item.type) {
+			case "alternate-state":
+				return [];
 
-				// Define additional search terms
-				if (a.details && a.details.expression) {
-					a.searchTerms = a.details.expression.value.concat(" ");
-				}
+			case "bookmark":
+				states = _.keys(item.selections || {});
+				break;
 
-				return a;
+			default:
+				(item.visualizations || []).forEach( function( a ) {
+					qData.push(a.properties, a.children, a.masterobject);
+				});
+
+				states = importers.getStateNames(qData);
+		}
+
+		return _.uniq(states).filter( function( a ) {
+			return a && "$" !== a && ! _.some(currAppObjects["alternate-state"], function( b ) {
+				return b.id === a;
 			});
 		});
 	},
 
 	/**
-	 * Get the app's visualization (master object) information
+	 * Return the object types that are used in the item
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app masterObjects (master objects)
+	 * The whole property tree of the item is searched for `qInfo.qType` and
+	 * `visualization` values, including the visualizations of sheets. Which of
+	 * these types are extensions is defined by the list of extensions.
+	 *
+	 * @param  {Object} item Object item
+	 * @return {Array} Object types
 	 */
-	getMasterObjectInfo = function( app ) {
-		return appInfo.masterObjects(app.id).then( function( info ) {
-			return info.map( function( a ) {
-				var data, i;
-
-				// Set item type
-				a.type = "masterObject";
-
-				if (a.children && a.children.length) {
-					data = appInfo.getChildrenDataDefinition(a.children);
-				} else {
-					data = appInfo.getDataDefinition(a.properties);
+	getObjectTypes = function( item ) {
+		var types = [];
+
+		// Walk the object data
+		(function walk( a ) {
+			var i;
+
+			if (Array.isArray(a)) {
+				a.forEach(walk);
+			} else if (a && "object" === typeof a) {
+				if (a.qInfo && "string" === typeof a.qInfo.qType) {
+					types.push(a.qInfo.qType);
 				}
 
-				// Setup string for additional search terms
-				a.searchTerms = "";
-
-				for (i in data) {
-					if (data.hasOwnProperty(i)) {
-						a.details[i] = data[i];
+				if ("string" === typeof a.visualization) {
+					types.push(a.visualization);
+				}
 
-						// Define additional search terms
-						a.searchTerms += data[i].value.join(" ").concat(" ");
+				for (i in a) {
+					if (a.hasOwnProperty(i) && "qInfo" !== i) {
+						walk(a[i]);
 					}
 				}
+			}
+		})([item.properties, item.children, _.map(item.visualizations || [], function( a ) {
+			return [a.properties, a.children, a.masterobject];
+		})]);
 
-				// Define preview
-				a.preview = {
-					url: getSingleVizUrl({
-						appId: app.id,
-						objId: a.properties.qInfo.qId,
-						opts: "nointeraction,noselections"
-					})
-				};
-
-				return a;
-			});
-		});
+		return _.uniq(types).filter(Boolean);
 	},
 
 	/**
-	 * Get the app's alternate states information
+	 * Define the extension warnings of the item
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app alternate states
+	 * Only types that are known as extensions in the source are considered. When the
+	 * source's extensions are known, like for bundles, extensions that are not installed
+	 * or that are installed with a different version are reported. Apps in the current
+	 * environment use the installed extensions.
+	 *
+	 * @param  {Object} item          Object item
+	 * @param  {Object} extensionList Installed extensions by id
+	 * @param  {Object} versions      Optional. Extension versions of the source by id.
+	 * @return {Object} Item
 	 */
-	getAlternateStateInfo = function( app ) {
-		return appInfo.alternateStates(app.id).then( function( states ) {
-			return states.map( function( a ) {
-
-				// Set item type
-				a.type = "alternate-state";
-
-				// Proxy for item properties
-				a.properties = a.id;
+	setExtensionWarnings = function( item, extensionList, versions ) {
+		versions = versions || {};
+
+		item.extensionWarnings = getObjectTypes(item).filter( function( type ) {
+			return versions.hasOwnProperty(type);
+		}).map( function( type ) {
+			var installed = extensionList[type];
+
+			if (! installed) {
+				return "Extension `".concat(type, "` is not installed in this environment");
+			} else if (versions[type] && installed.version && versions[type] !== installed.version) {
+				return "Extension `".concat(type, "` is installed with version ", installed.version, ", while the object uses version ", versions[type]);
+			}
+		}).filter(Boolean);
 
-				return a;
-			});
-		});
+		return item;
 	},
 
 	/**
-	 * Get the app's variables information
+	 * Check the extensions that are used in the items
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app variables
+	 * Only the extensions of the source are checked, so items from apps in the current
+	 * environment are not checked.
+	 *
+	 * @param  {Array}  items    Object items
+	 * @param  {Object} versions Optional. Extension versions of the source by id.
+	 * @return {Promise} Extensions are checked
 	 */
-	getVariableInfo = function( app ) {
-		return appInfo.variables(app.id, { qIsReserved: false }).then( function( info ) {
-
-			// Hide reserved/system vars
-			return info.map( function( a ) {
+	checkExtensions = function( items, versions ) {
+		var types = _.intersection(_.uniq(_.flatten(items.map(getObjectTypes))), _.keys(versions));
 
-				// Set item type
-				a.type = "variable";
-
-				// Define additional search terms
-				if (a.details && a.details.definition) {
-					a.searchTerms = a.details.definition.value.concat(" ");
-				}
+		// Bail when no extensions of the source are used
+		if (! types.length) {
+			return $q.resolve();
+		}
 
-				return a;
+		return appInfo.extensions({ extensionIds: types }).then( function( extensionList ) {
+			items.forEach( function( item ) {
+				setExtensionWarnings(item, extensionList, versions);
 			});
-		});
+		}).catch(console.error);
 	},
 
 	/**
-	 * Get the app's list of field names
+	 * Holds the time in milliseconds to wait for the extension versions
 	 *
-	 * @param  {Object} app The app's API
-	 * @return {Promise}    List of app field names
+	 * @type {Number}
 	 */
-	getFieldNames = function( app ) {
-		return app.getList("FieldList").then( function ( sessionObject ) {
-
-			// Remove updates for this session object before going forward
-			return sessionObject.close().then( function() {
-
-				// Get list items
-				return _.pluck(sessionObject.layout.qFieldList.qItems, "qName");
-			});
-		});
-	},
+	EXTENSION_LOAD_TIMEOUT = 10000,
 
 	/**
-	 * Return the field's values found in the set definition
+	 * Return the installed versions of the extensions that are used in the items
 	 *
-	 * @param  {String} set       Set definition to extract from
-	 * @param  {String} fieldName The field's name
-	 * @return {Array}            Field values
+	 * Object types that are not installed as extension are not included. Extensions
+	 * without a version are included with an empty version. Resolves without versions
+	 * when the extensions cannot be loaded in time.
+	 *
+	 * @param  {Array} items Object items
+	 * @return {Promise} Extension versions by id
 	 */
-	getValuesFromSetAnalysis = function( set, fieldName ) {
-		var regex = new RegExp('(<|,)'.concat(fieldName, '={([^}]+)(}>|},)')),
-		    matches = set.match(regex);
+	getExtensionVersions = function( items ) {
+		var types = _.uniq(_.flatten(items.map(getObjectTypes))), dfd = $q.defer(), timer;
 
-		// Get array from string list
-		return matches[2].split(",").map( function( a ) {
+		// Bail when no extensions are used
+		if (! types.length) {
+			return $q.resolve({});
+		}
 
-			// Remove surrounding single quotes
-			return a.replace(/^'(.*)'$/, "$1");
+		// Continue without versions when loading takes too long
+		timer = setTimeout( function() {
+			console.error("Extension versions not loaded: loading the extensions timed out");
+			dfd.resolve({});
+		}, EXTENSION_LOAD_TIMEOUT);
+
+		appInfo.extensions({ extensionIds: types }).then( function( extensionList ) {
+			dfd.resolve(_.object(types.filter( function( a ) {
+				return extensionList.hasOwnProperty(a);
+			}).map( function( a ) {
+				return [a, extensionList[a].version || ""];
+			})));
+		}).catch( function( error ) {
+			console.error(error);
+			dfd.resolve({});
+		}).finally( function() {
+			clearTimeout(timer);
 		});
+
+		return dfd.promise;
 	},
 
 	/**
-	 * Holds the global session options
+	 * Return the dependencies that are imported along with the item
 	 *
-	 * @type {Object}
+	 * @param  {Object} item     Object item
+	 * @param  {Object} allItems Items of the selected app per asset type
+	 * @return {Array} Dependency labels
 	 */
-	globalOpts = currApp.global.session.options || currApp.global.session.sessionConfig,
+	getItemDependencies = function( item, allItems ) {
+		var dependencies = [], qData = [item.properties, item.children];
+
+		switch (item.type) {
+			case "sheet":
+				(item.visualizations || []).forEach( function( a ) {
+					qData.push(a.properties, a.children);
+
+					// Linked master visualizations
+					if (a.masterobject && ! _.some(currAppObjects.masterObject, function( b ) {
+						return b.label === a.masterobject.qMetaDef.title;
+					})) {
+						dependencies.push(getAssetLabel("masterObject").concat(": ", a.masterobject.qMetaDef.title));
+					}
+				});
+				break;
+		}
 
-	/**
-	 * Holds the app's global baseURI
-	 *
-	 * Differs from qUtil.baseURI in that it does not assume the 'sense' project
-	 * directly following the prefix. This is relevant for setting up `single` urls.
-	 *
-	 * @return {String}
-	 */
-	baseURI = (globalOpts.isSecure || globalOpts.secure ? "https://" : "http://").concat(globalOpts.host, globalOpts.port ? ":" : "", globalOpts.port, globalOpts.prefix.replace(/\/+$/g, ""), "/"),
+		// Referenced master items
+		importers.getLibraryIds(qData).forEach( function( libraryId ) {
+			["dimension", "measure"].forEach( function( type ) {
+				(allItems[type] || []).filter( function( a ) {
+					return a.id === libraryId && ! a.status.exists;
+				}).forEach( function( a ) {
+					dependencies.push(getAssetLabel(type).concat(": ", a.label));
+				});
+			});
+		});
 
-	/**
-	 * Return the url for a single sheet
-	 *
-	 * @param  {Object} options Url options
-	 * @return {String} Single sheet url
-	 */
-	getSingleSheetUrl = function( options ) {
-		options = options || {};
-		options.opts = options.opts || "nointeraction,noselections";
+		// Missing alternate states
+		getMissingStates(item).forEach( function( a ) {
+			dependencies.push(getAssetLabel("alternate-state").concat(": ", a));
+		});
 
-		return baseURI.concat("single/?appid=", encodeURIComponent(options.appId), "&sheet=", options.sheetId, "&opt=", options.opts);
+		return _.uniq(dependencies);
 	},
 
 	/**
-	 * Return the url for a single visualization object
+	 * Return the import plan for the items
 	 *
-	 * @param  {Object} options Url options
-	 * @return {String} Single visualization url
+	 * The plan is based on the item's statuses and does not write anything.
+	 *
+	 * @param  {Array}  items    Object items to import
+	 * @param  {Object} allItems Items of the selected app per asset type
+	 * @param  {Object} options  Optional. Plan options: `blockItemsWithErrors`, `conflict`, `rename`, `sourceAppId`, `sourceAppName`, `variables`, `scriptPosition` and `sheetLayout`.
+	 * @return {Array} Import plan entries
+	 */
+	getImportPlan = function( items, allItems, options ) {
+		options = options || {};
+
+		return items.map( function( item ) {
+			var policy = getConflictPolicy(options.conflict, item.type), name, mediaUrls, entry = {
+				item: item,
+				action: "create",
+				targetIds: [],
+				dependencies: [],
+				notes: []
+			};
+
+			// Not importable at all
+			if (! importers.hasOwnProperty(item.type)) {
+				entry.action = "fail";
+				entry.notes.push("No importer found for item of type '".concat(item.type, "'"));
+
+			// Already processed
+			} else if (item.status.imported || item.status.updated) {
+				entry.action = "skip";
+				entry.notes.push("This object is already imported to your app");
+
+			// Skip existing objects
+			} else if ("skip" === policy && hasConflictInCurrentApp(item)) {
+				entry.action = "skip";
+				entry.notes.push("This object exists in your app and is skipped");
+
+			// Update the matched target
+			} else if ("overwrite" === policy && item.status.updatable) {
+				entry.action = "update";
+				entry.targetIds.push(item.updatableTargetId);
+
+				if (getChangeCount(loadItemLineDiff(item), false)) {
+					entry.notes.push("".concat(getChangeCount(item.lineDiff, true), " of ", getChangeCount(item.lineDiff), " script changes will be taken from the selected app"));
+				}
+
+			// Cannot import identical items
+			} else if (! item.status.importable) {
+				entry.action = item.status.exists ? "skip" : "fail";
+				entry.notes.push(item.status.exists ? "This object already exists in your app" : "This object cannot be imported in your app");
+
+			// Create a new object
+			} else {
+				name = getImportName(item, options);
+
+				if ("rename" === policy && hasConflictInCurrentApp(item)) {
+					entry.notes.push("This object exists in your app. A copy will be created as '".concat(name, "'."));
+				} else if (item.status.exists) {
+					entry.notes.push("This object already exists in your app. A duplicate will be created.");
+				}
+
+				if ("rename" !== policy && name !== getItemName(item.type, item.properties)) {
+					entry.notes.push("This object will be imported as '".concat(name, "'"));
+				}
+
+				if (isVariableForScript(item, options.variables)) {
+					entry.notes.push("This variable will be written to the script section '".concat(options.variables.scriptTab, "'"));
+				}
+
+				if ("script" === item.type && options.scriptPosition) {
+					entry.notes.push("This section will be added ".concat(getScriptPositionLabel(options.scriptPosition)));
+				}
+
+				if (item.targetSheetId) {
+					entry.targetIds.push(item.targetSheetId);
+				}
+			}
+
+			// Report the sheet's layout conversion
+			if ("sheet" === item.type && ("create" === entry.action || "update" === entry.action) && options.sheetLayout) {
+				if (options.sheetLayout.grid) {
+					entry.notes.push("The sheet's cells will be rescaled to the ".concat(sheetLayoutGrids[options.sheetLayout.grid].toLowerCase(), " grid size"));
+				}
+				if (options.sheetLayout.mode) {
+					entry.notes.push("The sheet will be converted to ".concat("fixed" === options.sheetLayout.mode ? "a fixed" : "an extendable", " layout"));
+				}
+			}
+
+			// Collect dependencies
+			if ("create" === entry.action || "update" === entry.action) {
+				entry.dependencies = getItemDependencies(item, allItems);
+
+				// Report missing extensions
+				(item.extensionWarnings || []).forEach( function( a ) {
+					entry.notes.push(a);
+				});
+
+				// Report missing data connections
+				(item.connectionWarnings || []).forEach( function( a ) {
+					entry.notes.push(a);
+				});
+
+				// Report the story's embedded sheets and snapshots
+				if (item.storyReferences) {
+					item.storyReferences.warnings.forEach( function( a ) {
+						entry.notes.push(a);
+					});
+				}
+
+				// Report the media files to copy
+				mediaUrls = options.sourceAppId ? media.findMediaUrls([item.properties, item.children, _.pluck(item.visualizations || [], "properties")], options.sourceAppId) : [];
+
+				if (mediaUrls.length) {
+					entry.notes.push("".concat(mediaUrls.length, 1 === mediaUrls.length ? " image" : " images", " will be copied to your app's media library"));
+				}
+
+				// Report the script's data connections and include files
+				if (item.references) {
+					if (item.references.connections.length) {
+						entry.notes.push("This section uses the data connections ".concat(item.references.connections.join(", ")));
+					}
+					if (item.references.includes.length) {
+						entry.notes.push("This section includes the files ".concat(item.references.includes.join(", ")));
+					}
+					if (item.references.missing.length) {
+						entry.notes.push("Set up the data connections ".concat(item.references.missing.join(", "), " before reloading your app"));
+					}
+				}
+
+				// Report errors, skip when blocked
+				if (hasItemErrors(item)) {
+					entry.notes.push("This object contains errors in your app");
+
+					if (options.blockItemsWithErrors) {
+						entry.action = "skip";
+						entry.dependencies = [];
+					}
+				}
+			}
+
+			return entry;
+		});
+	},
+
+	/**
+	 * Holds the order of asset types in which recipe items are imported
+	 *
+	 * Master items are imported before the objects that reference them.
+	 *
+	 * @type {Array}
+	 */
+	recipeImportOrder = ["appSettings", "alternate-state", "variable", "dimension", "measure", "masterObject", "script", "sheet", "story", "bookmark"],
+
+	/**
+	 * Return a new recipe for the items
+	 *
+	 * @param  {String} name    Recipe name
+	 * @param  {Array}  items   Object items
+	 * @param  {Object} source  Source app data with `id` and `label`
+	 * @param  {Object} options Recipe options
+	 * @return {Object} Recipe
+	 */
+	createRecipe = function( name, items, source, options ) {
+		return {
+			name: name,
+			appId: source.id,
+			appName: source.label,
+			items: _.mapObject(_.groupBy(items, "type"), function( list ) {
+				return list.map( function( a ) {
+					return {
+						id: a.id,
+						label: a.label
+					};
+				});
+			}),
+			options: {
+				skipItemsWithErrors: !! options.skipItemsWithErrors,
+				conflict: util.copy(options.conflict),
+				rename: util.copy(options.rename),
+				variables: util.copy(options.variables),
+				scriptPosition: util.copy(options.scriptPosition),
+				sheetLayout: util.copy(options.sheetLayout)
+			}
+		};
+	},
+
+	/**
+	 * Return the recipe's items in the selected app
+	 *
+	 * @param  {Object} recipe   Recipe
+	 * @param  {Object} allItems Items of the selected app per asset type
+	 * @return {Object} Found `items` in import order and labels of `missing` items
+	 */
+	getRecipeItems = function( recipe, allItems ) {
+		var found = [], missing = [];
+
+		_.sortBy(_.keys(recipe.items), function( type ) {
+			return recipeImportOrder.indexOf(type);
+		}).forEach( function( type ) {
+			recipe.items[type].forEach( function( a ) {
+				var item = _.findWhere(allItems[type] || [], { id: a.id });
+
+				if (item) {
+					found.push(item);
+				} else {
+					missing.push(getAssetLabel(type).concat(": ", a.label || a.id));
+				}
+			});
+		});
+
+		return {
+			items: found,
+			missing: missing
+		};
+	},
+
+	/**
+	 * Holds the labels of the drift statuses of linked objects
+	 *
+	 * @type {Object}
+	 */
+	driftStatuses = {
+		checking: "Checking", // Translation?
+		none: "Up to date", // Translation?
+		source: "Source changed", // Translation?
+		local: "Edited in your app", // Translation?
+		both: "Source changed and edited in your app", // Translation?
+		missing: "Source not found" // Translation?
+	},
+
+	/**
+	 * Return the objects in the current app that were imported from other apps
+	 *
+	 * @return {Array} Linked objects
+	 */
+	getLinkedObjects = function() {
+		return _.flatten(["sheet", "dimension", "measure", "masterObject", "variable", "bookmark"].map( function( type ) {
+			return (currAppObjects[type] || []).filter( function( a ) {
+				return !! importers.getProvenance(a.properties);
+			}).map( function( a ) {
+				var provenance = importers.getProvenance(a.properties);
+
+				return {
+					type: type,
+					id: a.id,
+					label: a.label,
+					modifiedDate: a.modifiedDate,
+					provenance: provenance,
+					appName: provenance.appName || (_.findWhere(appList, { id: provenance.appId }) || {}).label || provenance.appId,
+					source: null,
+					drift: "checking",
+					updatable: "bookmark" !== type,
+					updating: false,
+					updated: false,
+					updateFailed: false
+				};
+			});
+		}));
+	},
+
+	/**
+	 * Define the drift status of the linked object
+	 *
+	 * The source has changed when its modified date differs from the provenance. The
+	 * linked object is edited when the hash of its properties differs from the hash
+	 * that was recorded when the import was completed.
+	 *
+	 * @param  {Object} linked Linked object
+	 * @return {Promise} Drift status is defined
+	 */
+	checkLinkedObject = function( linked ) {
+		var getHash = linked.provenance.propertiesHash ? importers.getObjectHash(linked).catch( function( error ) {
+
+			// Continue without detecting local edits
+			console.error(error);
+		}) : $q.resolve();
+
+		linked.drift = "checking";
+
+		return $q.all({
+			source: importers.getSourceObject(linked.type, linked.provenance.appId, linked.provenance.objectId),
+			hash: getHash
+		}).then( function( args ) {
+			var source = args.source,
+			    sourceChanged = !! source.modifiedDate && source.modifiedDate !== linked.provenance.modifiedDate,
+			    localChanged = !! args.hash && args.hash !== linked.provenance.propertiesHash;
+
+			linked.source = source;
+			linked.drift = sourceChanged ? (localChanged ? "both" : "source") : (localChanged ? "local" : "none");
+		}).catch( function( error ) {
+			console.error(error);
+			linked.drift = "missing";
+		});
+	},
+
+	/**
+	 * Remove the comments from the script
+	 *
+	 * Removes `//` line comments, `/* ... *\/` block comments and `REM` statements.
+	 * Quoted strings, bracketed names and `://` in paths are kept.
+	 *
+	 * @param  {String} script Script
+	 * @return {String} Script without comments
+	 */
+	stripScriptComments = function( script ) {
+
+		// Remove line and block comments
+		script = script.replace(/'[^']*'|"[^"]*"|\[[^\]]*\]|:\/\/|\/\*[\s\S]*?\*\/|\/\/[^\r\n]*/g, function( match ) {
+			return /^\/[\/*]/.test(match) ? "" : match;
+		});
+
+		// Remove REM statements
+		return script.replace(/'[^']*'|"[^"]*"|\[[^\]]*\]|((?:^|;)\s*)REM\b[^;]*/gim, function( match, statementStart ) {
+			return "string" === typeof statementStart ? statementStart : match;
+		});
+	},
+
+
+	/**
+	 * Return the data connections and include files that are referenced in the script
+	 *
+	 * Connections are found in `lib://` paths and `LIB CONNECT TO` statements. Include
+	 * files are found in `$(Include=...)` and `$(Must_Include=...)` variables. Comments
+	 * are ignored.
+	 *
+	 * @param  {String} script Script
+	 * @return {Object} References with `connections` and `includes`
+	 */
+	getScriptReferences = function( script ) {
+		var connections = [], includes = [], match,
+		    libPathRegex = /lib:\/\/([^\/\\'"\]\)\r\n]+)/gi,
+		    connectRegex = /LIB\s+CONNECT\s+TO\s+(?:'([^']+)'|"([^"]+)"|\[([^\]]+)\])/gi,
+		    includeRegex = /\$\(\s*(?:Must_)?Include\s*=\s*([^)]+?)\s*\)/gi;
+
+		script = stripScriptComments(script || "");
+
+		while (match = libPathRegex.exec(script)) {
+			connections.push(match[1].trim());
+		}
+
+		while (match = connectRegex.exec(script)) {
+			connections.push((match[1] || match[2] || match[3]).trim());
+		}
+
+		while (match = includeRegex.exec(script)) {
+			includes.push(match[1]);
+		}
+
+		return {
+			connections: _.uniq(connections),
+			includes: _.uniq(includes)
+		};
+	},
+
+	/**
+	 * Define the data connections and include files of the script item
+	 *
+	 * Connections that are not available in the current app are reported as warnings.
+	 * Connection names that contain dollar-sign expansions are not checked.
+	 *
+	 * @param  {Object} item Script item
+	 * @return {Object} Item
+	 */
+	setScriptReferences = function( item ) {
+		var available = currAppObjects.connections && currAppObjects.connections.map( function( a ) {
+			return a.toLowerCase();
+		});
+
+		item.references = getScriptReferences(item.code.script.value);
+		item.references.missing = available ? item.references.connections.filter( function( a ) {
+			return -1 === a.indexOf("$(") && -1 === available.indexOf(a.toLowerCase());
+		}) : [];
+
+		item.details = item.details || {};
+		item.details.connections = {
+			label: "Data connections",
+			value: item.references.connections
+		};
+		item.details.includes = {
+			label: "Include files",
+			value: item.references.includes,
+			isCode: true
+		};
+		item.details.missingConnections = {
+			label: "Missing data connections",
+			value: item.references.missing
+		};
+
+		item.connectionWarnings = item.references.missing.map( function( a ) {
+			return "Data connection `".concat(a, "` is not found in the current app");
+		});
+
+		return item;
+	},
+
+	/**
+	 * Get the app's script information
+	 *
+	 * @param  {Object} app     An app's API
+	 * @param  {Object} options Optional. Use `validate` to check the script's data connections.
+	 * @return {Promise}    List of app script sections
+	 */
+	getScriptInfo = function( app, options ) {
+		var dfd = $q.defer();
+
+		options = options || {};
+
+		return appInfo.script(app.id).then( function( info ) {
+			return info.map( function( a ) {
+				a.code = a.code || {};
+
+				// Set item type
+				a.type = "script";
+
+				// Setup code from script
+				if (a.hasOwnProperty("script") && ! a.code.hasOwnProperty("script")) {
+					a.code.script = {
+						label: "Script",
+						value: a.script
+					};
+				}
+
+				// Proxy for item properties
+				a.properties = {
+					tab: a.label,
+					qScript: a.script
+				};
+
+				// Check the script's data connections
+				if (options.validate) {
+					setScriptReferences(a);
+				}
+
+				return a;
+			});
+		});
+	},
+
+	/**
+	 * Get the app's sheet information
+	 *
+	 * @param  {Object}  app     The app's API
+	 * @param  {Object}  options Optional. Whether to load sheet objects. Defaults to True.
+	 * @return {Promise}         List of app sheets
+	 */
+	getSheetInfo = function( app, options ) {
+		return appInfo.sheets(app.id, _.defaults(options || {}, {
+			loadWithObjects: true,
+			includeSummary: false
+		})).then( function( info ) {
+			return info.map( function( a ) {
+
+				// Set item type
+				a.type = "sheet";
+
+				// Define preview
+				a.preview = {
+					url: getSingleSheetUrl({
+						appId: app.id,
+						sheetId: a.id,
+						opts: "nointeraction,noselections"
+					})
+				};
+
+				return a;
+			});
+		});
+	},
+
+	/**
+	 * Get the app's dimension information
+	 *
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Load options.
+	 * @return {Promise}        List of app dimensions
+	 */
+	getDimensionInfo = function( app, options ) {
+		return appInfo.dimensions(app.id, options).then( function( info ) {
+			return info.map( function( a ) {
+
+				// Set item type
+				a.type = "dimension";
+
+				// Define additional search terms
+				if (a.details && a.details.definition) {
+					a.searchTerms = a.details.definition.value.concat(" ");
+				}
+
+				return a;
+			});
+		});
+	},
+
+	/**
+	 * Get the app's measure information
+	 *
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Load options.
+	 * @return {Promise}        List of app measures
+	 */
+	getMeasureInfo = function( app, options ) {
+		return appInfo.measures(app.id, options).then( function( info ) {
+			return info.map( function( a ) {
+
+				// Set item type
+				a.type = "measure";
+
+				// Define additional search terms
+				if (a.details && a.details.expression) {
+					a.searchTerms = a.details.expression.value.concat(" ");
+				}
+
+				return a;
+			});
+		});
+	},
+
+	/**
+	 * Get the app's visualization (master object) information
+	 *
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Load options.
+	 * @return {Promise}        List of app masterObjects (master objects)
+	 */
+	getMasterObjectInfo = function( app, options ) {
+		return appInfo.masterObjects(app.id, options).then( function( info ) {
+			return info.map( function( a ) {
+				var data, i;
+
+				// Set item type
+				a.type = "masterObject";
+
+				if (a.children && a.children.length) {
+					data = appInfo.getChildrenDataDefinition(a.children);
+				} else {
+					data = appInfo.getDataDefinition(a.properties);
+				}
+
+				// Setup string for additional search terms
+				a.searchTerms = "";
+
+				for (i in data) {
+					if (data.hasOwnProperty(i)) {
+						a.details[i] = data[i];
+
+						// Define additional search terms
+						a.searchTerms += data[i].value.join(" ").concat(" ");
+					}
+				}
+
+				// Define preview
+				a.preview = {
+					url: getSingleVizUrl({
+						appId: app.id,
+						objId: a.properties.qInfo.qId,
+						opts: "nointeraction,noselections"
+					})
+				};
+
+				return a;
+			});
+		});
+	},
+
+	/**
+	 * Get the app's alternate states information
+	 *
+	 * @param  {Object} app The app's API
+	 * @return {Promise}    List of app alternate states
+	 */
+	getAlternateStateInfo = function( app ) {
+		return appInfo.alternateStates(app.id).then( function( states ) {
+			return states.map( function( a ) {
+
+				// Set item type
+				a.type = "alternate-state";
+
+				// Proxy for item properties
+				a.properties = a.id;
+
+				return a;
+			});
+		});
+	},
+
+	/**
+	 * Get the app's variables information
+	 *
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Load options.
+	 * @return {Promise}        List of app variables
+	 */
+	getVariableInfo = function( app, options ) {
+		return appInfo.variables(app.id, _.extend({}, options, { qIsReserved: false })).then( function( info ) {
+
+			// Hide reserved/system vars
+			return info.map( function( a ) {
+
+				// Set item type
+				a.type = "variable";
+
+				// Define additional search terms
+				if (a.details && a.details.definition) {
+					a.searchTerms = a.details.definition.value.concat(" ");
+				}
+
+				return a;
+			});
+		});
+	},
+
+	/**
+	 * Holds the labels of known app settings
+	 *
+	 * @type {Object}
+	 */
+	appSettingLabels = {
+		theme: "Theme",
+		sheetTitleBgColor: "Sheet title background color",
+		sheetTitleGradientColor: "Sheet title gradient color",
+		sheetTitleColor: "Sheet title color",
+		sheetLogoThumbnail: "Sheet title logo",
+		sheetLogoPosition: "Sheet title logo position"
+	},
+
+	/**
+	 * Return the settings in the app's app properties object
+	 *
+	 * @param  {Object} app The app's API
+	 * @return {Promise}    List of app settings
+	 */
+	getAppSettingsInfo = function( app ) {
+		return importers.appSettings.getProperties(app).then( function( properties ) {
+			return _.keys(importers.appSettings.getSettings(properties)).map( function( key ) {
+				return {
+					id: key,
+					label: appSettingLabels[key] || key,
+					type: "appSettings",
+					searchTerms: key.concat(" "),
+					details: {
+						setting: {
+							label: "Setting",
+							value: appSettingLabels[key] ? key : "Custom app property",
+							isCode: !! appSettingLabels[key]
+						}
+					},
+					properties: {
+						name: key,
+						value: properties[key]
+					}
+				};
+			});
+		}).catch( function( error ) {
+			console.error(error);
+			return [];
+		});
+	},
+
+	/**
+	 * Get the app's bookmarks information
+	 *
+	 * Bookmark selections are parsed from the bookmark's set expression per state. When
+	 * validating, the selections are checked against the current app's data model.
+	 *
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Whether to validate against the current app. Defaults to True.
+	 * @return {Promise}        List of app bookmarks
+	 */
+	getBookmarkInfo = function( app, options ) {
+		options = _.defaults(options || {}, {
+			validate: true
+		});
+
+		return appInfo.bookmarks(app.id).then( function( info ) {
+			return $q.all(info.map( function( a ) {
+				var validations = [], missingFields = [], missingValues = [], uncheckedValues = [], unsupportedSearches = [], sourceSheet;
+
+				// Set item type
+				a.type = "bookmark";
+
+				// Collect field selections per state
+				a.selections = {};
+				a.layout.qBookmark.qStateData.forEach( function( qStateData ) {
+					var stateLabel = "$" === qStateData.qStateName ? "" : " (".concat(qStateData.qStateName, ")");
+
+					a.selections[qStateData.qStateName] = _.uniq(qStateData.qFieldItems.map( function( b ) {
+						return b.qDef.qName;
+					})).map( function( fieldName ) {
+						return {
+							field: fieldName,
+							values: getValuesFromSetAnalysis(a.setExpression[qStateData.qStateName] || "", fieldName)
+						};
+					}).filter( function( b ) {
+						return b.values.length;
+					});
+
+					// Report search strings that cannot be applied
+					a.selections[qStateData.qStateName].forEach( function( b ) {
+						if (! isSelectableFieldValues(b.values)) {
+							unsupportedSearches.push(b.field.concat(stateLabel, ": ", b.values.map(getFieldValueLabel).join(", ")));
+						}
+					});
+
+					// Check selections in the current app's data model
+					if (options.validate) {
+						a.selections[qStateData.qStateName].forEach( function( b ) {
+							if (-1 === currAppObjects.fieldNames.indexOf(b.field)) {
+								missingFields.push(b.field.concat(stateLabel));
+							} else {
+								validations.push(getMissingFieldValues(b.field, b.values).then( function( values ) {
+									if (values.length) {
+										missingValues.push(b.field.concat(stateLabel, ": ", values.map(getFieldValueLabel).join(", ")));
+									}
+								}).catch( function( error ) {
+									console.error(error);
+									uncheckedValues.push(b.field.concat(stateLabel));
+								}));
+							}
+						});
+					}
+				});
+
+				// Find the matching sheet in the current app
+				sourceSheet = a.details.sheet.value && a.details.sheet.value[0];
+				a.targetSheetId = sourceSheet && currAppObjects.sheet ? _.pluck(currAppObjects.sheet.filter( function( b ) {
+					return b.label === sourceSheet;
+				}), "id")[0] : "";
+
+				return $q.all(validations).then( function() {
+
+					// Report missing fields and values
+					a.details.missingFields = {
+						label: "Missing fields", // Translation?
+						value: missingFields
+					};
+					a.details.missingValues = {
+						label: "Missing values", // Translation?
+						value: missingValues
+					};
+					a.details.uncheckedValues = {
+						label: "Unchecked values", // Translation?
+						value: uncheckedValues
+					};
+					a.details.unsupportedSearches = {
+						label: "Unsupported searches", // Translation?
+						value: unsupportedSearches
+					};
+
+					if (missingFields.length || missingValues.length) {
+						a.icon = "debug";
+						a.errors = a.errors.concat(missingFields.map( function( b ) {
+							return "Field `".concat(b, "` is not found in the current app");
+						}), missingValues.map( function( b ) {
+							return "Values of field `".concat(b, "` are not found in the current app");
+						}));
+					}
+
+					if (uncheckedValues.length) {
+						a.icon = "debug";
+						a.errors = a.errors.concat(uncheckedValues.map( function( b ) {
+							return "Values of field `".concat(b, "` could not be checked in the current app");
+						}));
+					}
+
+					if (unsupportedSearches.length) {
+						a.icon = "debug";
+						a.errors = a.errors.concat(unsupportedSearches.map( function( b ) {
+							return "Search strings of field `".concat(b, "` cannot be combined with other values");
+						}));
+					}
+
+					return a;
+				});
+			}));
+		});
+	},
+
+	/**
+	 * Get the app's stories information
+	 *
+	 * @param  {Object} app     The app's API
+	 * @param  {Object} options Optional. Load options.
+	 * @return {Promise}        List of app stories
+	 */
+	getStoryInfo = function( app, options ) {
+		return appInfo.stories(app.id, options).then( function( info ) {
+			return info.map( function( a ) {
+
+				// Set item type
+				a.type = "story";
+
+				return a;
+			});
+		});
+	},
+
+	/**
+	 * Get the bundle's items information
+	 *
+	 * @param  {Object}  data Parsed bundle
+	 * @return {Promise}      List of bundle items per asset type
+	 */
+	getBundleInfo = function( data ) {
+		var info = _.object(_.pluck(assets, "id"), assets.map( function() { return []; }));
+
+		data.items.forEach( function( a ) {
+			var sourceSheet;
+
+			// Skip unknown types
+			if (! info.hasOwnProperty(a.type)) {
+				return;
+			}
+
+			// Restore the sheet's visualizations
+			if (a.sheetObjects) {
+				a.visualizations = a.sheetObjects.map( function( b ) {
+					return {
+						properties: b.qProperty,
+						children: b.qChildren
+					};
+				});
+			}
+
+			// Check the script's data connections
+			if ("script" === a.type) {
+				setScriptReferences(a);
+			}
+
+			// Find the matching sheet in the current app
+			if ("bookmark" === a.type && a.details.sheet) {
+				sourceSheet = a.details.sheet.value && a.details.sheet.value[0];
+				a.targetSheetId = sourceSheet ? _.pluck(currAppObjects.sheet.filter( function( b ) {
+					return b.label === sourceSheet;
+				}), "id")[0] : "";
+			}
+
+			info[a.type].push(a);
+		});
+
+		return $q.resolve(info);
+	},
+
+	/**
+	 * Get the app's list of field names
+	 *
+	 * @param  {Object} app The app's API
+	 * @return {Promise}    List of app field names
+	 */
+	getFieldNames = function( app ) {
+		return app.getList("FieldList").then( function ( sessionObject ) {
+
+			// Remove updates for this session object before going forward
+			return sessionObject.close().then( function() {
+
+				// Get list items
+				return _.pluck(sessionObject.layout.qFieldList.qItems, "qName");
+			});
+		});
+	},
+
+	/**
+	 * Get the app's list of data connection names
+	 *
+	 * Resolves with null when the connections are not available to the current user.
+	 *
+	 * @param  {Object} app The app's API
+	 * @return {Promise}    List of data connection names
+	 */
+	getConnectionNames = function( app ) {
+		return app.model.enigmaModel.getConnections().then( function( list ) {
+			return _.pluck(list, "qName");
+		}).catch( function( error ) {
+			console.error(error);
+			return null;
+		});
+	},
+
+	/**
+	 * Return the field's values found in the set definition
+	 *
+	 * Search strings and ranges, like `"A*"` or `">=2020"`, are returned as objects
+	 * with a `search` property.
+	 *
+	 * @param  {String} set       Set definition to extract from
+	 * @param  {String} fieldName The field's name
+	 * @return {Array}            Field values
+	 */
+	getValuesFromSetAnalysis = function( set, fieldName ) {
+		var name = fieldName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+		    regex = new RegExp('(<|,)(\\['.concat(name, '\\]|', name, ')={((\'[^\']*\'|"[^"]*"|[^}\'"])*)(}>|},)')),
+		    matches = set.match(regex);
+
+		// Bail when the field is not found
+		if (! matches) {
+			return [];
+		}
+
+		// Get array from string list, considering commas and escaped quotes within quotes
+		return (matches[3].match(/'(?:[^']|'')*'|"[^"]*"|[^,]+/g) || []).map( function( a ) {
+
+			// Keep search strings apart
+			if (/^"(.*)"$/.test(a)) {
+				return { search: a.replace(/^"(.*)"$/, "$1") };
+			}
+
+			// Remove surrounding single quotes, keep numbers
+			return /^'(.*)'$/.test(a) ? a.replace(/^'(.*)'$/, "$1").replace(/''/g, "'") : (isNaN(a) ? a : parseFloat(a));
+		});
+	},
+
+	/**
+	 * Return whether the field's values can be selected
+	 *
+	 * A search string can only be applied on its own, not combined with other
+	 * search strings or values.
+	 *
+	 * @param  {Array} values Field values
+	 * @return {Boolean} Values can be selected
+	 */
+	isSelectableFieldValues = function( values ) {
+		return ! _.some(values, _.isObject) || 1 === values.length;
+	},
+
+	/**
+	 * Return the label of the field value
+	 *
+	 * @param  {Mixed} value Field value
+	 * @return {String} Label
+	 */
+	getFieldValueLabel = function( value ) {
+		return _.isObject(value) ? '"'.concat(value.search, '"') : String(value);
+	},
+
+	/**
+	 * Return the field's values that are not found in the current app
+	 *
+	 * Text values are matched by their text, numbers by their numeric value, so that
+	 * number formatting does not matter. Search strings are missing when they do not
+	 * match any of the field's values.
+	 *
+	 * @param  {String} fieldName The field's name
+	 * @param  {Array}  values    Field values
+	 * @return {Promise}          Missing field values. Rejected when the values cannot be checked.
+	 */
+	getMissingFieldValues = function( fieldName, values ) {
+		var field = "[".concat(fieldName.replace(/\]/g, "]]"), "]"), searches = values.filter(_.isObject), list;
+
+		values = _.difference(values, searches);
+
+		// Setup the list of values for the set modifier
+		list = values.map( function( a ) {
+			return "number" === typeof a ? a : "'".concat(a.replace(/'/g, "''"), "'");
+		}).join(",");
+
+		// Find the search strings that match no values regardless of selections
+		return $q.all(searches.map( function( a ) {
+			return currApp.model.enigmaModel.evaluateEx("Count({1<".concat(field, "={\"", a.search, "\"}>} DISTINCT ", field, ")")).then( function( result ) {
+				return result.qNumber ? null : a;
+			});
+		})).then( function( missingSearches ) {
+
+			// Bail when there are no values to find
+			if (! values.length) {
+				return _.compact(missingSearches);
+			}
+
+			// Find the field's values that are available regardless of selections, with their text and unformatted number
+			return currApp.model.enigmaModel.evaluateEx("Concat({1<".concat(field, "={", list, "}>} DISTINCT ", field, " & Chr(2) & If(IsNum(", field, "), Num(", field, ", '0.###############', '.', ''), ''), Chr(1))")).then( function( result ) {
+				var found = (result.qText || "").split("\u0001").map( function( a ) {
+					var parts = a.split("\u0002");
+
+					return {
+						text: parts[0],
+						number: parts[1] ? parseFloat(parts[1]) : NaN
+					};
+				});
+
+				return _.compact(missingSearches).concat(values.filter( function( a ) {
+					return ! _.some(found, function( b ) {
+						return "number" === typeof a ? Math.abs(b.number - a) <= 1e-9 * Math.max(1, Math.abs(a)) : b.text === a;
+					});
+				}));
+			});
+		});
+	},
+
+	/**
+	 * Holds the global session options
+	 *
+	 * @type {Object}
+	 */
+	globalOpts = currApp.global.session.options || currApp.global.session.sessionConfig,
+
+	/**
+	 * Holds the app's global baseURI
+	 *
+	 * Differs from qUtil.baseURI in that it does not assume the 'sense' project
+	 * directly following the prefix. This is relevant for setting up `single` urls.
+	 *
+	 * @return {String}
+	 */
+	baseURI = (globalOpts.isSecure || globalOpts.secure ? "https://" : "http://").concat(globalOpts.host, globalOpts.port ? ":" : "", globalOpts.port, globalOpts.prefix.replace(/\/+$/g, ""), "/"),
+
+	/**
+	 * Return the url for a single sheet
+	 *
+	 * @param  {Object} options Url options
+	 * @return {String} Single sheet url
+	 */
+	getSingleSheetUrl = function( options ) {
+		options = options || {};
+		options.opts = options.opts || "nointeraction,noselections";
+
+		return baseURI.concat("single/?appid=", encodeURIComponent(options.appId), "&sheet=", options.sheetId, "&opt=", options.opts);
+	},
+
+	/**
+	 * Return the url for a single visualization object
+	 *
+	 * @param  {Object} options Url options
+	 * @return {String} Single visualization url
 	 */
 	getSingleVizUrl = function( options ) {
 		options = options || {};
@@ -620,6 +2257,15 @@ define([
 	}, {
 		"id": "variable",
 		"label": translator.get("Common.Variables")
+	}, {
+		"id": "bookmark",
+		"label": translator.get("Common.Bookmarks")
+	}, {
+		"id": "story",
+		"label": "Stories" // Translation?
+	}, {
+		"id": "appSettings",
+		"label": "App settings" // Translation?
 	}],
 
 	/**
@@ -708,6 +2354,10 @@ define([
 				from: "IDLE", to: "MODAL", name: "OPEN"
 			}, {
 				from: "MODAL", to: "IDLE", name: "CLOSE"
+			}, {
+				from: "IDLE", to: "LINKED", name: "OPEN_LINKED"
+			}, {
+				from: "LINKED", to: "IDLE", name: "CLOSE"
 			}],
 			on: {
 				enterModal: function( lifecycle, app ) {
@@ -718,6 +2368,21 @@ define([
 					}).catch( function( error ) {
 						console.error(error);
 
+						qvangular.getService("qvConfirmDialog").show({
+							title: "Importer error",
+							message: "Inspect the browser's console for any relevant error data.",
+							hideCancelButton: true
+						});
+					});
+				},
+				enterLinked: function( lifecycle ) {
+
+					// Wait for the current app objects to be loaded
+					currAppObjects.load().then( function() {
+						showLinkedObjects();
+					}).catch( function( error ) {
+						console.error(error);
+
 						qvangular.getService("qvConfirmDialog").show({
 							title: "Importer error",
 							message: "Inspect the browser's console for any relevant error data.",
@@ -776,74 +2441,531 @@ define([
 		 */
 		showAppObjectImporterForApp = function( appData ) {
 
-			// Open the modal
-			modal = qvangular.getService("luiDialog").show({
-				controller: ["$scope", function( $scope ) {
-					var dfd = $q.defer(),
+			// Open the modal
+			modal = qvangular.getService("luiDialog").show({
+				controller: ["$scope", function( $scope ) {
+					var dfd = $q.defer(),
+
+					/**
+					 * Return whether the search query matches with the input value
+					 *
+					 * @param  {String} input Text
+					 * @return {Boolean} Search query matches the text
+					 */
+					matchSearchQuery = function( input ) {
+						return (!! input) && -1 !== input.toString().toLowerCase().indexOf( $scope.search.query.toString().toLowerCase() );
+					},
+
+					/**
+					 * Process an item's import
+					 *
+					 * The changes of the import are recorded in the import journal. Afterwards the
+					 * hashes of the changed objects are recorded in their provenance.
+					 *
+					 * @param {Object}   item Item data
+					 * @param {Function} importer Import callback. Receives the list for recording changes. Should return a Promise.
+					 * @return {Promise} Item import was processed
+					 */
+					importSingleItem = function( item, importer ) {
+						var changes, start;
+
+						if (! item.status.imported && ! item.status.importFailed && item.status.importable) {
+							item.status.importing = true;
+							changes = recordItem(item);
+							start = changes.length;
+
+							return importer(changes).then( function() {
+								return importers.stampObjectHashes(changes.slice(start));
+							}).then( function() {
+								item.status.exists = true;
+								item.status.importing = false;
+								item.status.imported = true;
+							}).catch( function( error ) {
+								console.error(error);
+								item.status.importing = false;
+								item.status.importFailed = true;
+							});
+						} else {
+							return $q.resolve();
+						}
+					},
+
+					/**
+					 * Process an item's update
+					 *
+					 * The changes of the update are recorded in the import journal. Afterwards the
+					 * hashes of the changed objects are recorded in their provenance.
+					 *
+					 * @param {Object}   item Item data
+					 * @param {Function} updater Update callback. Receives the list for recording changes. Should return a Promise.
+					 * @return {Promise} Item update was processed
+					 */
+					updateSingleItem = function( item, updater ) {
+						var changes, start;
+
+						if (! item.status.updated && ! item.status.updateFailed && item.status.updatable) {
+							item.status.updating = true;
+							changes = recordItem(item);
+							start = changes.length;
+
+							return updater(changes).then( function() {
+								return importers.stampObjectHashes(changes.slice(start));
+							}).then( function() {
+								item.status.exists = true;
+								item.status.updating = false;
+								item.status.updated = true;
+								item.status.updatable = false;
+							}).catch( function( error ) {
+								console.error(error);
+								item.status.updating = false;
+								item.status.updateFailed = true;
+							});
+						} else {
+							return $q.resolve();
+						}
+					},
+
+					/**
+					 * Start a new import journal
+					 *
+					 * @return {Void}
+					 */
+					startJournal = function() {
+						$scope.journal = {
+							changes: [],
+							items: [],
+							errors: [],
+							reverting: false,
+							reverted: false
+						};
+					},
+
+					/**
+					 * Register the item in the import journal
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Array} List for recording the item's changes
+					 */
+					recordItem = function( item ) {
+
+						// Start a journal when none is active
+						if (! $scope.journal || $scope.journal.reverted) {
+							startJournal();
+						}
+
+						if (-1 === $scope.journal.items.indexOf(item)) {
+							$scope.journal.items.push(item);
+						}
+
+						return $scope.journal.changes;
+					},
+
+					/**
+					 * Return the items to import in a batch
+					 *
+					 * @return {Array} Selected items or all items when none are selected
+					 */
+					getItemsToImport = function() {
+						var selectedCount = $scope.getSelectedCount();
+
+						return $scope.selected.filter( function( item ) {
+							return selectedCount ? item.status.selected : true;
+						});
+					},
+
+					/**
+					 * Return the selected items across all assets
+					 *
+					 * @return {Array} Selected items
+					 */
+					getSelectedItems = function() {
+						return _.flatten(_.values($scope.allItems)).filter( function( item ) {
+							return item.status.selected;
+						});
+					},
+
+					/**
+					 * Select and import the recipe's items
+					 *
+					 * Items of the recipe that are not found in the selected app are reported.
+					 *
+					 * @param  {Object} recipe Recipe
+					 * @return {Promise} Recipe is replayed
+					 */
+					replayRecipe = function( recipe ) {
+						var recipeItems = getRecipeItems(recipe, $scope.allItems);
+
+						// Preselect the items
+						recipeItems.items.forEach( function( item ) {
+							item.status.selected = true;
+						});
+
+						$scope.recipe.missing = recipeItems.missing;
+						$scope.validation.block = recipe.options.skipItemsWithErrors;
+
+						$scope.conflict = util.copy(recipe.options.conflict);
+
+						// Recipes without rename rules keep the names
+						$scope.rename = _.extend(getDefaultRenameRules(), recipe.options.rename);
+
+						// Recipes without variable options create variables in the app
+						$scope.variables = _.extend({ target: "app", scriptTab: "Variables" }, recipe.options.variables);
+
+						// Recipes without a script position add sections at the end
+						$scope.scriptPosition = _.extend({ position: "end", tab: "" }, recipe.options.scriptPosition);
+
+						// Recipes without a sheet layout keep the source's layout
+						$scope.sheetLayout = _.extend({ grid: "source", mode: "source" }, recipe.options.sheetLayout);
+
+						applyConflictPolicy();
+
+						$scope.plan = getImportPlan(recipeItems.items, $scope.allItems, getPlanOptions());
+
+						return $scope.runImportPlan();
+					},
+
+					/**
+					 * Return the items to import after confirming items with errors
+					 *
+					 * Items with errors are skipped when importing them is blocked. Otherwise
+					 * the user is asked to confirm importing them.
+					 *
+					 * @param  {Array} items Items to import
+					 * @return {Promise} Confirmed items
+					 */
+					confirmItemsWithErrors = function( items ) {
+						var dfd = $q.defer(), invalid = items.filter(hasItemErrors);
+
+						// Bail when there's nothing to confirm
+						if (! invalid.length) {
+							dfd.resolve(items);
+
+						// Skip items with errors
+						} else if ($scope.validation.block) {
+							dfd.resolve(_.difference(items, invalid));
+
+						// Ask for confirmation
+						} else {
+							qvangular.getService("qvConfirmDialog").show({
+								title: "Objects with errors",
+								message: (1 === invalid.length ? "The object '".concat(invalid[0].label, "' contains") : "".concat(invalid.length, " objects contain")).concat(" errors in your app and may not work after importing. Do you want to import ", 1 === invalid.length ? "it" : "them", " anyway?"),
+								okLabel: "Import anyway",
+								cancelLabel: translator.get("Common.Cancel")
+							}).closed.then( function( confirmed ) {
+								dfd.resolve(confirmed ? items : _.difference(items, invalid));
+							});
+						}
+
+						return dfd.promise;
+					},
+
+					/**
+					 * Return the import options that relate to the source of the item
+					 *
+					 * Items from a bundle are imported without opening the source app. Imported
+					 * objects are linked to their source.
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Object} Import options
+					 */
+					getSourceOptions = function( item ) {
+
+						// Collect the media files that cannot be copied
+						item.mediaFailed = [];
+
+						// Collect the snapshots that are skipped
+						item.snapshotsSkipped = [];
+
+						return _.extend(appData.bundle ? {
+							sourceItems: appData.bundle.items,
+							sheetObjects: item.sheetObjects ? util.copy(item.sheetObjects) : undefined,
+							children: item.children ? util.copy(item.children) : []
+						} : {
+							appId: appData.id
+						}, {
+							provenance: {
+								appId: appData.id,
+								appName: appData.label,
+								objectId: item.id,
+								modifiedDate: item.modifiedDate || null
+							},
+							mediaFailed: item.mediaFailed,
+							snapshotsSkipped: item.snapshotsSkipped
+						});
+					},
+
+					/**
+					 * Import the item
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Promise} Item was imported
+					 */
+					importItem = function( item ) {
+						return importSingleItem(item, function( changes ) {
+							// Write the variable to the script
+							if (isVariableForScript(item, $scope.variables)) {
+								return importers.variable.addToScript([getImportProperties(item)], _.extend(getSourceOptions(item), {
+									scriptTab: $scope.variables.scriptTab,
+									journal: changes
+								})).then( function( inScript ) {
+									item.scriptFallback = ! inScript;
+								});
+							} else if (importers.hasOwnProperty(item.type)) {
+								return importers[item.type].add(getImportProperties(item), _.extend(getSourceOptions(item), getScriptPositionOptions(item), {
+									sheetsMaxRank: currAppObjects.sheet.reduce( function( a, b ) { return Math.max(a, b.properties.rank); }, 0),
+									storiesMaxRank: (currAppObjects.story || []).reduce( function( a, b ) { return Math.max(a, b.properties.rank || 0); }, 0),
+									sheetIdMap: "story" === item.type ? getStoryReferences(item).sheetIds : undefined,
+									selections: item.selections,
+									sheetId: item.targetSheetId,
+									sheetLayout: getSheetLayout($scope.sheetLayout),
+									libraryIdMap: libraryIdMap,
+									mediaUrlMap: mediaUrlMap,
+									journal: changes
+								})).then( function( result ) {
+
+									// Remember the title of the added script section
+									if ("script" === item.type) {
+										item.importedTab = result;
+									}
+								});
+							} else {
+								return $q.reject("No importer found for item of type '".concat(item.type, "'"));
+							}
+						});
+					},
+
+					/**
+					 * Return the import options for positioning the script section
+					 *
+					 * In the `source` position the section is placed after the nearest preceding
+					 * section of the source script that exists in the current app, or else before
+					 * the nearest following one. Sections that were just imported are found by
+					 * their imported title.
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Object} Import options
+					 */
+					getScriptPositionOptions = function( item ) {
+						var sections, index, getTab;
+
+						// Bail when this is not a script section
+						if ("script" !== item.type) {
+							return {};
+						}
+
+						sections = $scope.allItems.script || [];
+						index = sections.indexOf(item);
+
+						/**
+						 * Return the title of the section in the current app
+						 *
+						 * @param  {Object} a Section item
+						 * @return {String} Section title
+						 */
+						getTab = function( a ) {
+							return a.importedTab || a.label;
+						};
+
+						return {
+							position: $scope.scriptPosition.position,
+							positionTab: $scope.scriptPosition.tab,
+							precedingTabs: -1 === index ? [] : sections.slice(0, index).reverse().map(getTab),
+							followingTabs: -1 === index ? [] : sections.slice(index + 1).map(getTab)
+						};
+					},
+
+					/**
+					 * Return the options for naming and planning the import
+					 *
+					 * @return {Object} Import options
+					 */
+					getPlanOptions = function() {
+						return {
+							blockItemsWithErrors: $scope.validation.block,
+							conflict: $scope.conflict,
+							rename: $scope.rename,
+							sourceAppId: appData.id,
+							sourceAppName: appData.label,
+							variables: $scope.variables,
+							scriptPosition: $scope.scriptPosition,
+							sheetLayout: getSheetLayout($scope.sheetLayout)
+						};
+					},
+
+					/**
+					 * Return the properties to import for the item
+					 *
+					 * Rename rules and the `rename` conflict policy may give the item a new name.
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Mixed} Object properties
+					 */
+					getImportProperties = function( item ) {
+						var props = item.properties, name = getImportName(item, getPlanOptions());
+
+						if (name !== getItemName(item.type, props)) {
+							props = setItemName(item.type, util.copy(props), name);
+						}
+
+						return props;
+					},
+
+					/**
+					 * Define whether the items are importable with the selected conflict policies
+					 *
+					 * @return {Void}
+					 */
+					applyConflictPolicy = function() {
+						_.flatten(_.values($scope.allItems)).forEach( function( item ) {
+							item.status.importable = isItemImportableInCurrentApp(item, getConflictPolicy($scope.conflict, item.type));
+						});
+					},
+
+					/**
+					 * Define the names with which the items are imported
+					 *
+					 * Names depend on the rename rules, the conflict policies and the objects
+					 * in the current app, so they are refreshed when either is updated.
+					 *
+					 * @return {Void}
+					 */
+					refreshImportNames = function() {
+						var options = {
+							conflict: $scope.conflict,
+							rename: $scope.rename,
+							sourceAppName: appData.label
+						};
+
+						_.flatten(_.values($scope.allItems)).forEach( function( item ) {
+							item.importName = item.properties ? getImportName(item, options) : undefined;
+							item.renamed = !! item.properties && item.importName !== getItemName(item.type, item.properties);
+						});
+					},
+
+					/**
+					 * Return the selected property groups to update for the item
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Array|Undefined} Property group ids or undefined to update all properties
+					 */
+					getSelectedPropertyGroups = function( item ) {
+						var groups = _.pluck(importers.getPropertyGroups(item.type), "id"),
+						    selected = groups.filter( function( id ) {
+						    	return item.update && item.update.groups[id];
+						    });
+
+						return selected.length === groups.length ? undefined : selected;
+					},
+
+					/**
+					 * Update the item
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Promise} Item was updated
+					 */
+					updateItem = function( item ) {
+						return updateSingleItem(item, function( changes ) {
+							if (importers.hasOwnProperty(item.type)) {
+								return importers[item.type].update(getUpdateProperties(item), _.extend(getSourceOptions(item), {
+									targetId: item.updatableTargetId || false,
+									propertyGroups: getSelectedPropertyGroups(item),
+									sheetIdMap: "story" === item.type ? getStoryReferences(item).sheetIds : undefined,
+									sheetLayout: getSheetLayout($scope.sheetLayout),
+									libraryIdMap: libraryIdMap,
+									mediaUrlMap: mediaUrlMap,
+									journal: changes
+								}));
+							} else {
+								return $q.reject("No updater found for item of type '".concat(item.type, "'"));
+							}
+						});
+					},
+
+					/**
+					 * Add the selected cells of the sheet item to an existing sheet
+					 *
+					 * The changes are recorded in the import journal.
+					 *
+					 * @param  {Object} item Sheet item
+					 * @return {Promise} Cells were added
+					 */
+					mergeCells = function( item ) {
+						var changes = recordItem(item);
+
+						item.merge.merging = true;
+						item.merge.mergeFailed = false;
+
+						return importers.sheet.mergeCells(item.properties, _.extend(getSourceOptions(item), {
+							targetId: item.merge.targetId,
+							cellNames: getMergeCellNames(item),
+							libraryIdMap: libraryIdMap,
+							mediaUrlMap: mediaUrlMap,
+							journal: changes
+						})).then( function() {
+							item.merge.merging = false;
+							item.merge.merged = true;
+						}).catch( function( error ) {
+							console.error(error);
+							item.merge.merging = false;
+							item.merge.mergeFailed = true;
+						});
+					},
 
 					/**
-					 * Return whether the search query matches with the input value
+					 * Return the names of the cells that are selected for merging
 					 *
-					 * @param  {String} input Text
-					 * @return {Boolean} Search query matches the text
+					 * @param  {Object} item Sheet item
+					 * @return {Array} Cell names
 					 */
-					matchSearchQuery = function( input ) {
-						return (!! input) && -1 !== input.toString().toLowerCase().indexOf( $scope.search.query.toString().toLowerCase() );
+					getMergeCellNames = function( item ) {
+						return _.keys(item.merge.cells).filter( function( name ) {
+							return item.merge.cells[name];
+						});
 					},
 
 					/**
-					 * Process an item's import
+					 * Refresh the layout preview of the active sheet
 					 *
-					 * @param {Object}   item Item data
-					 * @param {Function} importer Import callback. Should return a Promise.
-					 * @return {Promise} Item import was processed
+					 * @return {Void}
 					 */
-					importSingleItem = function( item, importer ) {
-						if (! item.status.imported && ! item.status.importFailed && item.status.importable) {
-							item.status.importing = true;
+					refreshLayoutPreview = function() {
+						$scope.layoutPreview = $scope.activeItem && "sheet" === $scope.activeItem.type && $scope.activeItem.properties && $scope.activeItem.properties.cells ? getLayoutPreview($scope.activeItem, getSheetLayout($scope.sheetLayout)) : null;
+					},
 
-							return importer().then( function() {
-								item.status.exists = true;
-								item.status.importing = false;
-								item.status.imported = true;
-							}).catch( function( error ) {
-								console.error(error);
-								item.status.importing = false;
-								item.status.importFailed = true;
+					/**
+					 * Return the properties to update the item with
+					 *
+					 * Script sections are updated with the merge of the accepted line changes.
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Object} Object properties
+					 */
+					getUpdateProperties = function( item ) {
+						if ("script" === item.type && loadItemLineDiff(item)) {
+							return _.extend({}, item.properties, {
+								qScript: diff.mergeLineHunks(item.lineDiff)
 							});
-						} else {
-							return $q.resolve();
 						}
+
+						return item.properties;
 					},
 
 					/**
-					 * Process an item's update
+					 * Holds the master items that are resolved while importing
 					 *
-					 * @param {Object}   item Item data
-					 * @param {Function} updater Update callback. Should return a Promise.
-					 * @return {Promise} Item update was processed
+					 * @type {Object}
 					 */
-					updateSingleItem = function( item, updater ) {
-						if (! item.status.updated && ! item.status.updateFailed && item.status.updatable) {
-							item.status.updating = true;
+					libraryIdMap = {},
 
-							return updater().then( function() {
-								item.status.exists = true;
-								item.status.updating = false;
-								item.status.updated = true;
-								item.status.updatable = false;
-							}).catch( function( error ) {
-								console.error(error);
-								item.status.updating = false;
-								item.status.updateFailed = true;
-							});
-						} else {
-							return $q.resolve();
-						}
-					},
+					/**
+					 * Holds the media files that are copied while importing
+					 *
+					 * @type {Object}
+					 */
+					mediaUrlMap = {},
 
-					// Connect with the provided app
-					app = qlik.openApp(appData.id);
+					// Connect with the provided app, not for bundles
+					app = appData.bundle ? null : qlik.openApp(appData.id);
 
 					// Setup scope labels and flags
 					$scope.okLabel = $scope.input.okLabel || translator.get("Common.Done");
@@ -855,6 +2977,46 @@ define([
 					$scope.activeItem = null;
 					$scope.activeSubItem = null;
 					$scope.activeSubItemIx = 0;
+					$scope.plan = null;
+					$scope.journal = null;
+					$scope.validation = {
+						block: false
+					};
+					$scope.conflictPolicies = conflictPolicies;
+					$scope.conflict = {
+						policy: "duplicate",
+						overrides: {}
+					};
+					$scope.rename = getDefaultRenameRules();
+					$scope.variableTargets = variableTargets;
+					$scope.variables = {
+						target: "app",
+						scriptTab: "Variables"
+					};
+					$scope.scriptTabs = _.pluck(currAppObjects.script, "label");
+					$scope.scriptPositions = scriptPositions;
+					$scope.currentSheets = currAppObjects.sheet || [];
+					$scope.sheetLayoutGrids = sheetLayoutGrids;
+					$scope.sheetLayoutModes = sheetLayoutModes;
+					$scope.sheetLayout = {
+						grid: "source",
+						mode: "source"
+					};
+					$scope.layoutPreview = null;
+					$scope.scriptPosition = {
+						position: "end",
+						tab: _.last($scope.scriptTabs) || ""
+					};
+					$scope.diffOptions = {
+						showUnchanged: false
+					};
+					$scope.recipe = {
+						name: appData.recipe ? appData.recipe.name : "",
+						saving: false,
+						saved: false,
+						missing: []
+					};
+					$scope.canSaveRecipe = ! appData.bundle;
 					$scope.assets = assets;
 					$scope.allItems = {};
 					$scope.filteredItems = {};
@@ -880,6 +3042,7 @@ define([
 						// Clear active item when changing the asset type
 						if ($scope.activeAsset !== assetId) {
 							$scope.activeItem = null;
+							$scope.plan = null;
 							$scope.status.imported = false;
 
 							// Deselect all
@@ -907,119 +3070,466 @@ define([
 					};
 
 					/**
-					 * Handle when a item is clicked
+					 * Handle when a item is clicked
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Void}
+					 */
+					$scope.itemClicked = function( item ) {
+
+						// Set active item
+						$scope.activeItem = item;
+						$scope.plan = null;
+						refreshLayoutPreview();
+
+						// Reset subitem
+						$scope.subItemClicked(0);
+					};
+
+					/**
+					 * Wrapper for an item label
+					 *
+					 * @param  {Object} item Item data
+					 * @return {String} Item label
+					 */
+					$scope.itemLabel = function( item ) {
+						var label = item.label;
+
+						if ("errors" === $scope.activeAsset) {
+							label = getAssetLabel(item.asset).concat(" / ", label);
+						}
+
+						return label;
+					};
+
+					/**
+					 * Handle when a subitem is clicked
+					 *
+					 * @param  {Number} index Subitem index
+					 * @return {Void}
+					 */
+					$scope.subItemClicked = function( index ) {
+
+						// Set active subitem
+						if ($scope.activeItem && $scope.activeItem.items) {
+							$scope.activeSubItem = $scope.activeItem.items[index];
+							$scope.activeSubItemIx = index;
+						} else {
+							$scope.activeSubItem = null;
+							$scope.activeSubItemIx = 0;
+						}
+					};
+
+					/**
+					 * Generic importer for the selected item
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Promise} Item was imported
+					 */
+					$scope.importItem = function( item ) {
+						return confirmItemsWithErrors([item]).then( function( items ) {
+							return items.length ? importItem(item) : $q.resolve();
+						});
+					};
+
+					/**
+					 * Generic updater for the selected item
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Promise} Item was Updated
+					 */
+					$scope.updateItem = function( item ) {
+						return confirmItemsWithErrors([item]).then( function( items ) {
+							return items.length ? updateItem(item) : $q.resolve();
+						});
+					};
+
+					/**
+					 * Add the selected cells of the sheet to an existing sheet
+					 *
+					 * @param  {Object} item Sheet item
+					 * @return {Promise} Cells were added
+					 */
+					$scope.mergeCells = function( item ) {
+						return $scope.canMergeCells(item) ? mergeCells(item) : $q.resolve();
+					};
+
+					/**
+					 * Return whether the selected cells of the sheet can be added to a sheet
+					 *
+					 * @param  {Object} item Sheet item
+					 * @return {Boolean} Cells can be merged
+					 */
+					$scope.canMergeCells = function( item ) {
+						return !! item.merge && !! item.merge.targetId && ! item.merge.merging && !! getMergeCellNames(item).length;
+					};
+
+					/**
+					 * Return the label of the sheet's cell
+					 *
+					 * @param  {Object} item Sheet item
+					 * @param  {Object} cell Cell data
+					 * @return {String} Cell label
+					 */
+					$scope.cellLabel = function( item, cell ) {
+						var visualization = _.find(item.visualizations || [], function( a ) {
+							return a.properties.qInfo.qId === cell.name;
+						}), props = visualization ? visualization.properties : {};
+
+						return ("string" === typeof props.title && props.title ? props.title.concat(" (", props.visualization || props.qInfo.qType, ")") : (props.visualization || cell.type || cell.name));
+					};
+
+					/**
+					 * Generic importer for all items in the selected asset
+					 *
+					 * @return {Promise} Items are imported
+					 */
+					$scope.importMultipleItems = function() {
+
+						// Bail when already imported
+						if ($scope.status.imported) {
+							return;
+						}
+
+						$scope.status.importing = true;
+						startJournal();
+
+						return confirmItemsWithErrors(getItemsToImport()).then( function( items ) {
+							return items.reduce( function( promise, item ) {
+
+								// Overwrite existing objects
+								if ("overwrite" === getConflictPolicy($scope.conflict, item.type) && item.status.updatable) {
+									return promise.then(updateItem.bind(this, item));
+								} else {
+									return promise.then(importItem.bind(this, item));
+								}
+							}, $q.resolve());
+						}).then( function() {
+							$scope.status.importing = false;
+							$scope.status.imported = true;
+						}).catch( function( error ) {
+							console.error(error);
+							$scope.status.importing = false;
+							$scope.status.importFailed = true;
+						});
+					};
+
+					/**
+					 * Export the selected items to a bundle file
+					 *
+					 * @return {Void}
+					 */
+					$scope.exportSelectedItems = function() {
+						var items = getSelectedItems();
+
+						// Default to the items in the selected asset
+						if (! items.length) {
+							items = getItemsToImport();
+						}
+
+						// Register the extension versions in the bundle. Download without versions when they fail to load.
+						getExtensionVersions(items).catch( function( error ) {
+							console.error(error);
+							return {};
+						}).then( function( versions ) {
+							bundle.downloadBundle(bundle.createBundle(items, appData, versions));
+						});
+					};
+
+					/**
+					 * Save the selected items as a recipe in the extension's properties
+					 *
+					 * @return {Promise} Recipe is saved
+					 */
+					$scope.saveRecipe = function() {
+						var items = getSelectedItems();
+
+						// Bail when there's nothing to save
+						if (! $scope.recipe.name || ! items.length || $scope.recipe.saving) {
+							return;
+						}
+
+						$scope.recipe.saving = true;
+						$scope.recipe.saved = false;
+
+						return saveRecipe(createRecipe($scope.recipe.name, items, appData, {
+							skipItemsWithErrors: $scope.validation.block,
+							conflict: $scope.conflict,
+							rename: $scope.rename,
+							variables: $scope.variables,
+							scriptPosition: $scope.scriptPosition,
+							sheetLayout: $scope.sheetLayout
+						})).then( function() {
+							$scope.recipe.saved = true;
+						}).catch( function( error ) {
+							console.error(error);
+						}).finally( function() {
+							$scope.recipe.saving = false;
+						});
+					};
+
+					/**
+					 * Build the import plan for the items in the selected asset
+					 *
+					 * @return {Void}
+					 */
+					$scope.previewImport = function() {
+						$scope.status.imported = false;
+						$scope.plan = getImportPlan(getItemsToImport(), $scope.allItems, getPlanOptions());
+					};
+
+					/**
+					 * Discard the import plan
+					 *
+					 * @return {Void}
+					 */
+					$scope.cancelImportPlan = function() {
+						$scope.plan = null;
+					};
+
+					/**
+					 * Run the reviewed import plan
+					 *
+					 * @return {Promise} Plan is processed
+					 */
+					$scope.runImportPlan = function() {
+
+						// Bail when already imported
+						if (! $scope.plan || $scope.status.imported) {
+							return;
+						}
+
+						$scope.status.importing = true;
+						startJournal();
+
+						return confirmItemsWithErrors(_.pluck($scope.plan.filter( function( entry ) {
+							return "create" === entry.action || "update" === entry.action;
+						}), "item")).then( function( items ) {
+							return $scope.plan.filter( function( entry ) {
+								return -1 !== items.indexOf(entry.item);
+							}).reduce( function( promise, entry ) {
+								return promise.then( function() {
+									switch (entry.action) {
+										case "create":
+											return importItem(entry.item);
+										case "update":
+											return updateItem(entry.item);
+									}
+								});
+							}, $q.resolve());
+						}).then( function() {
+							$scope.status.importing = false;
+							$scope.status.imported = true;
+						}).catch( function( error ) {
+							console.error(error);
+							$scope.status.importing = false;
+							$scope.status.importFailed = true;
+						});
+					};
+
+					/**
+					 * Revert the changes of the last import
+					 *
+					 * @return {Promise} Import is reverted
+					 */
+					$scope.revertImport = function() {
+						var journal = $scope.journal;
+
+						// Bail when there's nothing to revert
+						if (! journal || journal.reverting || journal.reverted || ! journal.changes.length) {
+							return;
+						}
+
+						journal.reverting = true;
+
+						return importers.revertChanges(journal.changes).then( function( failed ) {
+
+							// Keep the changes that could not be reverted, so the revert can be retried
+							journal.changes = _.pluck(failed, "change").reverse();
+							journal.errors = failed.map( function( a ) {
+								return "Could not revert ".concat(a.change.action, " of ", getAssetLabel(a.change.type) || a.change.type, a.change.id ? " '".concat(a.change.id, "'") : "", ": ", a.error);
+							});
+
+							// Reload the current app's objects
+							return currAppObjects.load();
+						}).then( function() {
+							refreshImportNames();
+
+							// Reset the statuses of the imported items
+							journal.items.forEach( function( item ) {
+								setItemStatus(item, getConflictPolicy($scope.conflict, item.type));
+							});
+
+							journal.reverting = false;
+							journal.reverted = ! journal.changes.length;
+
+							if (journal.reverted) {
+								$scope.status.imported = false;
+								$scope.status.importFailed = false;
+							}
+
+							// Imported master items are removed
+							libraryIdMap = {};
+							mediaUrlMap = {};
+						}).catch( function( error ) {
+							console.error(error);
+							journal.reverting = false;
+						});
+					};
+
+					/**
+					 * Return the label of the import plan entry's action
 					 *
-					 * @param  {Object} item Item data
-					 * @return {Void}
+					 * @param  {Object} entry Import plan entry
+					 * @return {String} Action label
 					 */
-					$scope.itemClicked = function( item ) {
+					$scope.planActionLabel = function( entry ) {
+						return planActions[entry.action];
+					};
 
-						// Set active item
-						$scope.activeItem = item;
+					/**
+					 * Return the label of the asset type
+					 *
+					 * @param  {String} type Asset type
+					 * @return {String} Asset label
+					 */
+					$scope.assetLabel = getAssetLabel;
 
-						// Reset subitem
-						$scope.subItemClicked(0);
+					/**
+					 * Return whether the rename pattern is invalid
+					 *
+					 * @return {Boolean} Pattern is invalid
+					 */
+					$scope.isRenamePatternInvalid = function() {
+						return !! $scope.rename.search && ! getRenamePattern($scope.rename);
 					};
 
 					/**
-					 * Wrapper for an item label
+					 * Return the property groups that can be selected when updating the item
 					 *
 					 * @param  {Object} item Item data
-					 * @return {String} Item label
+					 * @return {Array} Property groups
 					 */
-					$scope.itemLabel = function( item ) {
-						var label = item.label;
-
-						if ("errors" === $scope.activeAsset) {
-							label = getAssetLabel(item.asset).concat(" / ", label);
-						}
+					$scope.propertyGroups = function( item ) {
+						return importers.getPropertyGroups(item.type);
+					};
 
-						return label;
+					/**
+					 * Return the item's diff entries to display
+					 *
+					 * @param  {Object} item Item data
+					 * @return {Array} Diff entries
+					 */
+					$scope.visibleDiff = function( item ) {
+						return (item.diff || []).filter( function( entry ) {
+							return $scope.diffOptions.showUnchanged || "unchanged" !== entry.type;
+						});
 					};
 
 					/**
-					 * Handle when a subitem is clicked
+					 * Return the amount of unchanged properties of the item
 					 *
-					 * @param  {Number} index Subitem index
-					 * @return {Void}
+					 * @param  {Object} item Item data
+					 * @return {Number} Amount of unchanged properties
 					 */
-					$scope.subItemClicked = function( index ) {
+					$scope.getUnchangedCount = function( item ) {
+						return (item.diff || []).filter( function( entry ) {
+							return "unchanged" === entry.type;
+						}).length;
+					};
 
-						// Set active subitem
-						if ($scope.activeItem && $scope.activeItem.items) {
-							$scope.activeSubItem = $scope.activeItem.items[index];
-							$scope.activeSubItemIx = index;
-						} else {
-							$scope.activeSubItem = null;
-							$scope.activeSubItemIx = 0;
-						}
+					/**
+					 * Return the diff entry's value for display
+					 *
+					 * @param  {Mixed} value Property value
+					 * @return {String} Display value
+					 */
+					$scope.diffValue = function( value ) {
+						return "undefined" === typeof value ? "" : JSON.stringify(value);
 					};
 
 					/**
-					 * Generic importer for the selected item
+					 * Return the line diff of the script item
 					 *
 					 * @param  {Object} item Item data
-					 * @return {Promise} Item was imported
+					 * @return {Array|Null} Line diff hunks
 					 */
-					$scope.importItem = function( item ) {
-						return importSingleItem(item, function() {
-							if (importers.hasOwnProperty(item.type)) {
-								return importers[item.type].add(item.properties, {
-									appId: appData.id,
-									sheetsMaxRank: currAppObjects.sheet.reduce( function( a, b ) { return Math.max(a, b.properties.rank); }, 0)
-								});
-							} else {
-								return $q.reject("No importer found for item of type '".concat(item.type, "'"));
-							}
-						});
+					$scope.lineDiff = loadItemLineDiff;
+
+					/**
+					 * Return the amount of script changes of the item
+					 *
+					 * @param  {Object}  item     Item data
+					 * @param  {Boolean} accepted Optional. Whether to only count accepted or rejected changes.
+					 * @return {Number} Amount of script changes
+					 */
+					$scope.getChangeCount = function( item, accepted ) {
+						return getChangeCount(loadItemLineDiff(item), accepted);
 					};
 
 					/**
-					 * Generic updater for the selected item
+					 * Accept or reject all script changes of the item
 					 *
-					 * @param  {Object} item Item data
-					 * @return {Promise} Item was Updated
+					 * @param  {Object}  item     Item data
+					 * @param  {Boolean} accepted Whether to accept the changes
+					 * @return {Void}
 					 */
-					$scope.updateItem = function( item ) {
-						return updateSingleItem(item, function() {
-							if (importers.hasOwnProperty(item.type)) {
-								return importers[item.type].update(item.properties, {
-									appId: appData.id,
-									targetId: item.updatableTargetId || false
-								});
-							} else {
-								return $q.reject("No updater found for item of type '".concat(item.type, "'"));
+					$scope.acceptAllChanges = function( item, accepted ) {
+						(loadItemLineDiff(item) || []).forEach( function( hunk ) {
+							if ("change" === hunk.type) {
+								hunk.accepted = accepted;
 							}
 						});
 					};
 
 					/**
-					 * Generic importer for all items in the selected asset
+					 * Return the rows of the hunk to display
 					 *
-					 * @return {Promise} Items are imported
+					 * Long runs of equal lines are collapsed to their first and last lines.
+					 *
+					 * @param  {Object} hunk Line diff hunk
+					 * @return {Array} Hunk rows
 					 */
-					$scope.importMultipleItems = function() {
-						var selectedCount = $scope.getSelectedCount();
+					$scope.hunkRows = function( hunk ) {
+						var context = 3;
 
-						// Bail when already imported
-						if ($scope.status.imported) {
-							return;
+						if ("equal" !== hunk.type || hunk.rows.length <= context * 2 + 1) {
+							return hunk.rows;
 						}
 
-						$scope.status.importing = true;
+						return hunk.rows.slice(0, context).concat({
+							gap: hunk.rows.length - context * 2
+						}, hunk.rows.slice(-context));
+					};
 
-						return $scope.selected.filter( function( item ) {
-							return selectedCount ? item.status.selected : true;
-						}).reduce( function( promise, item ) {
-							return promise.then($scope.importItem.bind(this, item));
-						}, $q.resolve()).then( function() {
-							$scope.status.importing = false;
-							$scope.status.imported = true;
-						}).catch( function( error ) {
-							console.error(error);
-							$scope.status.importing = false;
-							$scope.status.importFailed = true;
-						});
+					/**
+					 * Return the values of the app setting in the selected app and in your app
+					 *
+					 * @param  {Object} item App setting item
+					 * @return {Object} Values with `source` and `target` and their colors
+					 */
+					$scope.appSettingValues = function( item ) {
+						var target = _.findWhere(currAppObjects.appSettings || [], { id: item.id }),
+
+						/**
+						 * Return the color of the setting's value, when available
+						 *
+						 * @param  {Mixed} value Setting value
+						 * @return {String} Color
+						 */
+						getColor = function( value ) {
+							value = value && value.color || value;
+
+							return "string" === typeof value && /^(#[0-9a-f]{3,8}|rgba?\(.+\))$/i.test(value) ? value : "";
+						};
+
+						return {
+							source: $scope.diffValue(item.properties.value),
+							sourceColor: getColor(item.properties.value),
+							target: target ? $scope.diffValue(target.properties.value) : "",
+							targetColor: target ? getColor(target.properties.value) : "",
+							targetExists: !! target
+						};
 					};
 
 					/**
@@ -1033,25 +3543,36 @@ define([
 						}).length;
 					};
 
-					// Get the requested app's objects
-					$q.all({
-						script: getScriptInfo(app),
-						sheet: getSheetInfo(app),
-						dimension: getDimensionInfo(app),
-						measure: getMeasureInfo(app),
-						masterObject: getMasterObjectInfo(app),
+					// Get the requested bundle's or app's objects
+					(appData.bundle ? getBundleInfo(appData.bundle) : $q.all({
+						script: getScriptInfo(app, getValidationOptions()),
+						sheet: getSheetInfo(app, getValidationOptions()),
+						dimension: getDimensionInfo(app, getValidationOptions()),
+						measure: getMeasureInfo(app, getValidationOptions()),
+						masterObject: getMasterObjectInfo(app, getValidationOptions()),
 						"alternate-state": getAlternateStateInfo(app),
-						variable: getVariableInfo(app)
-					}).then( function( args ) {
+						variable: getVariableInfo(app, getValidationOptions()),
+						bookmark: getBookmarkInfo(app),
+						story: getStoryInfo(app),
+						appSettings: getAppSettingsInfo(app)
+					})).then( function( args ) {
 						var i;
 
 						// Prepare items
 						for (i in args) {
 							if (Array.isArray(args[i])) {
-								$scope.allItems[i] = args[i].map(prepareItem);
+								$scope.allItems[i] = args[i].map( function( a ) {
+									a.sourceAppId = appData.id;
+									return prepareItem(a);
+								});
 							}
 						}
 
+						refreshImportNames();
+
+						// Check the extensions that are used, without waiting
+						checkExtensions(_.flatten(_.values($scope.allItems)), appData.bundle && appData.bundle.extensions);
+
 						// Set default opener to sheets
 						$scope.selected = $scope.allItems.sheet;
 						$scope.activeItem = $scope.allItems.sheet.length && $scope.allItems.sheet[0];
@@ -1059,6 +3580,11 @@ define([
 						// Notify loading is done
 						$scope.loading = false;
 
+						// Run the provided recipe
+						if (appData.recipe) {
+							replayRecipe(appData.recipe);
+						}
+
 						// Setup watcher for search. This is defined AFTER allItems are retreived, so that
 						// the watcher on initial trigger will apply correctly.
 						$scope.$watch("search.query", function( query ) {
@@ -1097,6 +3623,30 @@ define([
 						modal.close();
 					};
 
+					// Act when the conflict policies or rename rules are updated
+					$scope.$watch("[conflict, rename]", function( newValue, oldValue ) {
+						refreshImportNames();
+
+						if (newValue !== oldValue) {
+							applyConflictPolicy();
+
+							// Refresh the import plan
+							if ($scope.plan && ! $scope.status.importing && ! $scope.status.imported) {
+								$scope.plan = getImportPlan(_.pluck($scope.plan, "item"), $scope.allItems, getPlanOptions());
+							}
+						}
+					}, true);
+
+					// Act when the variable, script section or sheet layout options are updated
+					$scope.$watch("[variables, scriptPosition, sheetLayout]", function( newValue, oldValue ) {
+						refreshLayoutPreview();
+
+						// Refresh the import plan
+						if (newValue !== oldValue && $scope.plan && ! $scope.status.importing && ! $scope.status.imported) {
+							$scope.plan = getImportPlan(_.pluck($scope.plan, "item"), $scope.allItems, getPlanOptions());
+						}
+					}, true);
+
 					// Act when the select-all toggle is updated
 					$scope.$watch("status.selected", function( newValue, oldValue ) {
 
@@ -1111,7 +3661,159 @@ define([
 				}],
 				template: modalTmpl,
 				input: {
-					title: "Import objects from ".concat(appData.label),
+					title: (appData.recipe ? "Import recipe '".concat(appData.recipe.name, "' from ") : "Import objects from ").concat(appData.bundle ? "bundle " : "", appData.label),
+					hideCancelButton: true,
+					hideOkButton: false
+				},
+				variant: false,
+				closeOnEscape: true
+			});
+
+			// Close the FSM when closing the modal
+			modal.closed.then( function() {
+				fsm.close();
+				modal = null;
+			});
+		},
+
+		/**
+		 * Open the modal for the objects that are linked to their source
+		 *
+		 * @return {Void}
+		 */
+		showLinkedObjects = function() {
+
+			// Open the modal
+			modal = qvangular.getService("luiDialog").show({
+				controller: ["$scope", function( $scope ) {
+
+					/**
+					 * Update the linked object from its source
+					 *
+					 * @param  {Object} linked Linked object
+					 * @return {Promise} Linked object is updated
+					 */
+					var updateLinkedObject = function( linked ) {
+						linked.updating = true;
+
+						return importers[linked.type].update(util.copy(linked.source.properties), {
+							appId: linked.provenance.appId,
+							targetId: linked.id,
+							provenance: {
+								appId: linked.provenance.appId,
+								appName: linked.appName,
+								objectId: linked.provenance.objectId,
+								modifiedDate: linked.source.modifiedDate
+							}
+						}).then( function() {
+							return importers.stampObjectHashes([{ type: linked.type, id: linked.id }]);
+						}).then( function() {
+							linked.updated = true;
+							linked.drift = "none";
+						}).catch( function( error ) {
+							console.error(error);
+							linked.updateFailed = true;
+						}).finally( function() {
+							linked.updating = false;
+						});
+					};
+
+					// Setup scope labels and flags
+					$scope.okLabel = $scope.input.okLabel || translator.get("Common.Done");
+					$scope.linkedObjects = getLinkedObjects();
+
+					/**
+					 * Return the label of the asset type
+					 *
+					 * @param  {String} type Asset type
+					 * @return {String} Asset label
+					 */
+					$scope.assetLabel = getAssetLabel;
+
+					/**
+					 * Return the label of the linked object's drift status
+					 *
+					 * @param  {Object} linked Linked object
+					 * @return {String} Drift label
+					 */
+					$scope.driftLabel = function( linked ) {
+						return driftStatuses[linked.drift];
+					};
+
+					/**
+					 * Return whether the linked object can be updated from its source
+					 *
+					 * @param  {Object} linked Linked object
+					 * @return {Boolean} Can be updated
+					 */
+					$scope.canUpdate = function( linked ) {
+						return linked.updatable && ! linked.updating && ("source" === linked.drift || "both" === linked.drift);
+					};
+
+					/**
+					 * Update the linked object after confirming that local edits are overwritten
+					 *
+					 * @param  {Object} linked Linked object
+					 * @return {Promise} Linked object is updated
+					 */
+					$scope.updateLinkedObject = function( linked ) {
+
+						// Bail when the object cannot be updated
+						if (! $scope.canUpdate(linked)) {
+							return;
+						}
+
+						if ("both" === linked.drift) {
+							return qvangular.getService("qvConfirmDialog").show({
+								title: "Object edited in your app",
+								message: "The object '".concat(linked.label, "' was edited in your app after it was imported. Updating it from its source overwrites these changes. Do you want to update it anyway?"),
+								okLabel: "Update anyway",
+								cancelLabel: translator.get("Common.Cancel")
+							}).closed.then( function( confirmed ) {
+								return confirmed ? updateLinkedObject(linked) : $q.resolve();
+							});
+						}
+
+						return updateLinkedObject(linked);
+					};
+
+					/**
+					 * Update all linked objects of which only the source has changed
+					 *
+					 * @return {Promise} Linked objects are updated
+					 */
+					$scope.updateAllLinkedObjects = function() {
+						return $scope.linkedObjects.filter( function( linked ) {
+							return "source" === linked.drift && $scope.canUpdate(linked);
+						}).reduce( function( promise, linked ) {
+							return promise.then(updateLinkedObject.bind(this, linked));
+						}, $q.resolve());
+					};
+
+					/**
+					 * Return whether any linked object has only a changed source
+					 *
+					 * @return {Boolean} Has updatable objects
+					 */
+					$scope.hasSourceChanges = function() {
+						return _.some($scope.linkedObjects, function( linked ) {
+							return "source" === linked.drift && $scope.canUpdate(linked);
+						});
+					};
+
+					// Check the linked objects in sequence
+					$scope.linkedObjects.reduce( function( promise, linked ) {
+						return promise.then(checkLinkedObject.bind(this, linked));
+					}, $q.resolve());
+
+					// Provide modal close method to the template
+					$scope.close = function() {
+						modal.close();
+					};
+				}],
+				template: linkedTmpl,
+				input: {
+					title: "Linked objects",
 					hideCancelButton: true,
 					hideOkButton: false
 				},
@@ -1126,6 +3828,69 @@ define([
 			});
 		},
 
+		/**
+		 * Open the object app importer modal for the bundle file
+		 *
+		 * @param  {File} file Selected file
+		 * @return {Void}
+		 */
+		showAppObjectImporterForBundle = function( file ) {
+			var reader = new FileReader();
+
+			reader.onload = function() {
+				bundle.parseBundle(reader.result).then( function( data ) {
+					fsm.open({
+						id: data.source.appId,
+						label: data.source.appName,
+						bundle: data
+					});
+				}).catch( function( error ) {
+					console.error(error);
+
+					qvangular.getService("qvConfirmDialog").show({
+						title: "Bundle error",
+						message: "string" === typeof error ? error : "The bundle could not be read.",
+						hideCancelButton: true
+					});
+				});
+			};
+
+			reader.readAsText(file);
+		},
+
+		/**
+		 * Save the recipe in the extension's properties
+		 *
+		 * The items of an existing recipe with the same name for the same app are
+		 * extended with the recipe's items.
+		 *
+		 * @param  {Object} recipe Recipe
+		 * @return {Promise} Recipe is saved
+		 */
+		saveRecipe = function( recipe ) {
+			return $scope.backendApi.getProperties().then( function( props ) {
+				var existing;
+
+				props.recipes = props.recipes || [];
+				existing = _.findWhere(props.recipes, { name: recipe.name, appId: recipe.appId });
+
+				if (existing) {
+					_.keys(recipe.items).forEach( function( type ) {
+						existing.items[type] = _.uniq((existing.items[type] || []).concat(recipe.items[type]), false, function( a ) {
+							return a.id;
+						});
+					});
+
+					existing.appName = recipe.appName;
+					existing.options = recipe.options;
+				} else {
+					props.recipes.push(recipe);
+				}
+
+				return $scope.backendApi.setProperties(props);
+			});
+		},
+
 		/**
 		 * Close the app object importer modal
 		 *
@@ -1170,6 +3935,73 @@ define([
 			}
 		};
 
+		/**
+		 * Bundle button select handler
+		 *
+		 * @return {Void}
+		 */
+		$scope.openBundle = function() {
+			if ($scope.object.inEditState()) {
+				popover.close();
+				$el.find(".bundle-file-input")[0].click();
+			}
+		};
+
+		/**
+		 * Recipe replay button select handler
+		 *
+		 * @param  {Object} recipe Recipe
+		 * @return {Void}
+		 */
+		$scope.replayRecipe = function( recipe ) {
+			if ($scope.object.inEditState()) {
+				popover.close();
+				fsm.open({
+					id: recipe.appId,
+					label: recipe.appName,
+					recipe: recipe
+				});
+			}
+		};
+
+		/**
+		 * Recipe remove button select handler
+		 *
+		 * @param  {Number} index Recipe index
+		 * @return {Promise} Recipe is removed
+		 */
+		$scope.removeRecipe = function( index ) {
+			if ($scope.object.inEditState()) {
+				return $scope.backendApi.getProperties().then( function( props ) {
+					(props.recipes || []).splice(index, 1);
+
+					return $scope.backendApi.setProperties(props);
+				});
+			}
+		};
+
+		/**
+		 * Linked objects button select handler
+		 *
+		 * @return {Void}
+		 */
+		$scope.openLinkedObjects = function() {
+			if ($scope.object.inEditState()) {
+				popover.close();
+				fsm.openLinked();
+			}
+		};
+
+		// Open the selected bundle file
+		$el.on("change", ".bundle-file-input", function( event ) {
+			if (event.target.files.length) {
+				showAppObjectImporterForBundle(event.target.files[0]);
+			}
+
+			// Allow selecting the same file again
+			event.target.value = "";
+		});
+
 		// Map popover.isActive() to scope
 		$scope.isActive = popover.isActive;
 
@@ -1183,6 +4015,7 @@ define([
 		 */
 		$scope.$on("$destroy", function() {
 			Resize.off("start", popover.close);
+			$el.off("change", ".bundle-file-input");
 			popover.close();
 			closeAppObjectImporterForApp();
 		});
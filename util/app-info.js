@@ -96,6 +96,7 @@ define([
 	 * Load QEXT files for extensions
 	 *
 	 * Will only load the file once per extension. Stores data in the `extensionList` variable.
+	 * Files that cannot be loaded are skipped, so the promise always resolves.
 	 *
 	 * @param  {Array} extensionIds List of extension ids
 	 * @return {Promise} Files are loaded
@@ -112,26 +113,30 @@ define([
 			// Load files for existing extensions, only once
 			return extensionList[a] && ! extensionList[a].type;
 		}).map( function( a ) {
-			var qext;
+			var qext, url;
 
 			// Get the path to the QEXT file
 			if (extensionList[a].references) {
-				qext = extensionList[a].references.find( function( b ) {
-					return ".qext" === b.logicalPath.substr(b.logicalPath.length - 5);
+				qext = _.find(extensionList[a].references, function( b ) {
+					return b.logicalPath && ".qext" === b.logicalPath.substr(b.logicalPath.length - 5);
 				});
+				url = qext && qext.logicalPath;
 			} else {
-				qext = "/extensions/".concat(extensionList[a].id, "/", extensionList[a].id, ".qext");
+				url = "/extensions/".concat(extensionList[a].id, "/", extensionList[a].id, ".qext");
 			}
 
-			// Setup file request
-			return util.qlikRequest({ url: qext.logicalPath, applyPrefix: true, extensionId: a }).catch( function() { return { data: {} }; });
-		})).then( function( args ) {
+			// Bail when there is no file to load
+			if (! url) {
+				return $q.resolve();
+			}
 
-			// Store file data in `extensionList`
-			args.forEach( function( a ) {
-				extensionList[a.config.extensionId] = _.defaults(a.data, extensionList[a.config.extensionId]);
+			// Setup file request, store file data in `extensionList`
+			return util.qlikRequest({ url: url, applyPrefix: true, extensionId: a }).then( function( resp ) {
+				extensionList[a] = _.defaults(_.isObject(resp.data) ? resp.data : {}, extensionList[a]);
+			}).catch( function( error ) {
+				console.error(error);
 			});
-		});
+		}));
 	},
 
 	/**
@@ -195,7 +200,13 @@ define([
 					} else {
 						dfd.resolve(extensionList);
 					}
-				}).catch(dfd.reject);
+				}).catch( function( error ) {
+
+					// Let waiting requests for additional extensions fail as well
+					isExtensionListLoaded.reject(error);
+
+					dfd.reject(error);
+				});
 			}
 
 		// Handle requests for additional extensions
@@ -311,7 +322,8 @@ define([
 									// Fetch property tree to load list of children on the object.
 									// This is mostly relevant for listboxes on a filterpane.
 									if (d.properties.hasOwnProperty("qChildListDef")) {
-										return app.getFullPropertyTree(d.id).then( function() {
+										return app.getFullPropertyTree(d.id).then( function( e ) {
+											d.__propertyTree = e.propertyTree;
 											return d;
 										});
 									} else {
@@ -322,7 +334,7 @@ define([
 
 									// Attach validation result to object
 									if (options.validate) {
-										validateVisualizationExpressions(app, d).then( function( validation ) {
+										validateVisualizationExpressions(options.validateApp || app, d).then( function( validation ) {
 											d.__validation = validation;
 											dfd.resolve(d);
 										});
@@ -352,7 +364,7 @@ define([
 
 					// Walk sheets, sort by rank
 					var sheetInfo = _.keys(sheets).map( function( sheetId ) {
-						var object = args[sheetId], visualizations = [], visualizationList = null, details, qMeta = object.layout.qMeta, preview;
+						var object = args[sheetId], visualizations = [], visualizationList = null, details, qMeta = object.layout.qMeta, preview, errors = [];
 
 						// Collect sheet objects
 						if (options.loadWithObjects) {
@@ -379,6 +391,15 @@ define([
 							}).sort( function( a, b ) {
 								return a.localeCompare(b);
 							});
+
+							// Collect errors of sheet objects
+							errors = _.flatten(visualizations.map( function( a ) {
+								return a.errors.map( function( b ) {
+									return _.extend({}, b, {
+										message: "Object ".concat(a.properties.qInfo.qId, " (", a.properties.visualization || a.properties.qInfo.qType, "): ", b.message)
+									});
+								});
+							}));
 						}
 
 						// Collect sheet details
@@ -432,9 +453,12 @@ define([
 						return {
 							id: sheetId,
 							label: qMeta.title,
+							icon: errors.length ? "debug" : "",
 							details: details,
+							errors: errors,
 							visualizations: visualizations,
 							rank: object.properties.rank,
+							modifiedDate: qMeta.modifiedDate || null,
 							layout: object.layout,
 							properties: object.properties
 						};
@@ -531,7 +555,7 @@ define([
 		// Think of the children
 		if (viz.hasOwnProperty("__propertyTree")) {
 			expressions.push.apply(expressions,
-				_.flatten(viz.__propertyTree.qChildren.map( function( a ) { return a.qProperty.qListObjectDef.qDef.qFieldDefs; }))
+				_.flatten(viz.__propertyTree.qChildren.filter( function( a ) { return a.qProperty.hasOwnProperty("qListObjectDef"); }).map( function( a ) { return a.qProperty.qListObjectDef.qDef.qFieldDefs; }))
 			);
 
 		// Consider the hypercube
@@ -615,7 +639,7 @@ define([
 
 							// Attach validation result to object
 							if (options.validate) {
-								validateExpressions(app, b.properties.qDim.qFieldDefs).then( function( validation ) {
+								validateExpressions(options.validateApp || app, b.properties.qDim.qFieldDefs).then( function( validation ) {
 									b.__validation = validation;
 									dfd.resolve(b);
 								});
@@ -680,6 +704,7 @@ define([
 							label: qMeta.title,
 							icon: object.__validation.hasError ? "debug" : (isDrilldown ? "drill-down" : false),
 							details: details,
+							modifiedDate: qMeta.modifiedDate || null,
 							layout: object.layout,
 							properties: object.properties,
 							errors: getErrorsFromExpressionValidation(object.__validation)
@@ -728,7 +753,7 @@ define([
 
 							// Attach validation result to object
 							if (options.validate) {
-								validateExpressions(app, b.properties.qMeasure.qDef).then( function( validation ) {
+								validateExpressions(options.validateApp || app, b.properties.qMeasure.qDef).then( function( validation ) {
 									b.__validation = validation;
 									dfd.resolve(b);
 								});
@@ -789,6 +814,7 @@ define([
 							label: qMeta.title,
 							icon: object.__validation.hasError ? "debug" : "",
 							details: details,
+							modifiedDate: qMeta.modifiedDate || null,
 							layout: object.layout,
 							properties: object.properties,
 							errors: getErrorsFromExpressionValidation(object.__validation)
@@ -858,7 +884,7 @@ define([
 
 						// Attach validation result to object
 						if (options.validate) {
-							validateVisualizationExpressions(app, b).then( function( validation ) {
+							validateVisualizationExpressions(options.validateApp || app, b).then( function( validation ) {
 								b.__validation = validation;
 								dfd.resolve(b);
 							});
@@ -913,6 +939,7 @@ define([
 							label: object.layout.qMeta.title,
 							icon: object.__validation.hasError ? "debug" : "",
 							details: details,
+							modifiedDate: object.layout.qMeta.modifiedDate || null,
 							layout: object.layout,
 							properties: object.__propertyTree && object.__propertyTree.qProperty || object.properties,
 							children: object.__propertyTree && object.__propertyTree.qChildren,
@@ -985,9 +1012,9 @@ define([
 						return $q.all([ b.getLayout(), b.getProperties() ]).then( function() {
 							var dfd = $q.defer();
 
-							// Attach validation result to object
-							if (options.validate){
-								validateExpressions(app, b.properties.qDefinition).then( function( validation ) {
+							// Attach validation result to object. Only expressions are validated.
+							if (options.validate && 0 === (b.properties.qDefinition || "").indexOf("=")) {
+								validateExpressions(options.validateApp || app, b.properties.qDefinition.substr(1)).then( function( validation ) {
 									b.__validation = validation;
 									dfd.resolve(b);
 								});
@@ -1031,6 +1058,7 @@ define([
 							label: object.properties.qName,
 							icon: object.__validation.hasError ? "debug" : (object.properties.qIsScriptCreated ? "script" : ""),
 							details: details,
+							modifiedDate: object.layout.qMeta.modifiedDate || null,
 							layout: a, // Not the actual layout, but layout does not contain `qName` and `qIsReserved`
 							properties: object.properties,
 							errors: getErrorsFromExpressionValidation(object.__validation)
@@ -1192,6 +1220,7 @@ define([
 							icon: errors.length ? "debug" : "",
 							details: details,
 							setExpression: bookmark.setExpression,
+							modifiedDate: qMeta.modifiedDate || null,
 							layout: bookmark.object.layout,
 							properties: bookmark.object.properties,
 							errors: errors
@@ -1207,6 +1236,150 @@ define([
 			});
 		});
 	},
+	/**
+	 * Return whether the slide item shows a snapshot
+	 *
+	 * Snapshots hold the data of a visualization at the time of taking the snapshot.
+	 *
+	 * @param  {Object} props Slide item properties
+	 * @return {Boolean} Is snapshot
+	 */
+	isSnapshotSlideItem = function( props ) {
+		return !! (props && (props.isSnapshot || props.qEmbeddedSnapshotRef));
+	},
+
+	/**
+	 * Return the app's stories with their slides and slide items
+	 *
+	 * @param  {String} appId   App id
+	 * @param  {Object} options Optional. Load options.
+	 * @return {Promise} List of stories
+	 */
+	getStories = async function( appId, options ) {
+		var app = await openApp(appId), list = [];
+
+		// Get shallow story list
+		return $q.all({
+			items: app.getList("story").then( function( sessionObject ) {
+
+				// Remove updates for this session object before going forward
+				return sessionObject.close().then( function() {
+					return sessionObject.layout.qAppObjectList.qItems;
+				});
+			}),
+			sheets: getSheets(appId, { loadWithObjects: false })
+		}).then( function( args ) {
+
+			// Walk list items
+			return args.items.reduce( function( promise, a ) {
+
+				// Get the story with its slides and slide items
+				return promise.then( function() {
+					return app.getFullPropertyTree(a.qInfo.qId);
+				}).then( function( b ) {
+					var propertyTree = b.propertyTree, qMeta = a.qMeta, slides = propertyTree.qChildren || [], slideItems, embeddedSheets, snapshots, details;
+
+					// Collect slide items
+					slideItems = _.flatten(slides.map( function( slide, index ) {
+						return (slide.qChildren || []).map( function( c ) {
+							return {
+								slide: index + 1,
+								properties: c.qProperty
+							};
+						});
+					}), true);
+
+					// Collect embedded sheets
+					embeddedSheets = _.uniq(_.compact(slideItems.map( function( c ) {
+						return c.properties.sheetId;
+					}))).map( function( sheetId ) {
+						var sheet = _.findWhere(args.sheets, { id: sheetId });
+
+						return {
+							id: sheetId,
+							label: sheet ? sheet.label : ""
+						};
+					});
+
+					// Collect snapshots
+					snapshots = slideItems.filter( function( c ) {
+						return isSnapshotSlideItem(c.properties);
+					}).map( function( c ) {
+						return {
+							slide: c.slide,
+							id: c.properties.qInfo.qId,
+							label: c.properties.visualization || "snapshot"
+						};
+					});
+
+					// Collect story details
+					details = {
+						description: {
+							label: translator.get("Common.Description"),
+							value: qMeta.description
+						},
+						createdDate: {
+							label: "Created", // Translation?
+							value: qMeta.createdDate ? new Date(qMeta.createdDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						modifiedDate: {
+							label: "Modified", // Translation?
+							value: qMeta.modifiedDate ? new Date(qMeta.modifiedDate).toLocaleString() : null // Not available on QS Desktop
+						},
+						owner: {
+							label: "Owner", // translation?
+							value: "string" === typeof qMeta.owner ? qMeta.owner : (qMeta.owner ? "".concat(qMeta.owner.userDirectory, "/", qMeta.owner.userId) : null) // Not available on QS Desktop
+						},
+						slides: {
+							label: "Slides", // Translation?
+							value: slides.length.toString()
+						},
+						slideItems: {
+							label: "Slide items", // Translation?
+							value: _.uniq(slideItems.map( function( c ) {
+								return c.properties.visualization;
+							})).map( function( type ) {
+								var count = slideItems.filter( function( c ) { return type === c.properties.visualization; }).length;
+
+								return (count > 1 ? "".concat(count, " x ") : "").concat(type || "item");
+							}).sort( function( a, b ) {
+								return a.localeCompare(b);
+							})
+						},
+						sheets: {
+							label: "Embedded sheets", // Translation?
+							value: embeddedSheets.length ? _.pluck(embeddedSheets, "label") : null
+						},
+						snapshots: {
+							label: "Snapshots", // Translation?
+							value: snapshots.length ? snapshots.length.toString() : null
+						}
+					};
+
+					// Add object data to list
+					list.push({
+						id: a.qInfo.qId,
+						label: qMeta.title,
+						icon: "",
+						details: details,
+						children: slides,
+						embeddedSheets: embeddedSheets,
+						snapshots: snapshots,
+						rank: propertyTree.qProperty.rank,
+						modifiedDate: qMeta.modifiedDate || null,
+						properties: propertyTree.qProperty,
+						errors: []
+					});
+				});
+			}, $q.resolve()).then( function() {
+
+				// Return the full list sorted by rank
+				return list.sort( function( a, b ) {
+					return a.rank < b.rank ? -1 : 1;
+				});
+			});
+		});
+	},
 
 	/**
 	 * Retreive details from an item's data definition
@@ -1296,6 +1469,8 @@ define([
 		alternateStates: getAlternateStates,
 		variables: getVariables,
 		bookmarks: getBookmarks,
+		stories: getStories,
+		isSnapshotSlideItem: isSnapshotSlideItem,
 		getDataDefinition: getDataDefinition,
 		getChildrenDataDefinition: getChildrenDataDefinition
 	};